@@ -7,10 +7,22 @@
  * 
  * Following Joshua Bloch's principle: "Favor composition over inheritance" (Item 18)
  * 
- * Memory Layout:
+ * Memory Layout (dense):
  * - Each pixel is represented by 1 bit
  * - Bits are packed into Uint8Array (8 pixels per byte)
  * - Memory usage: width × height ÷ 8 bytes
+ *
+ * Memory Layout (sparse):
+ * - Each row is a sorted run list [x0, x1, x0, x1, ...] of set bits (x1 exclusive)
+ * - Run lists are immutable and shared between rows and between buffers;
+ *   all-0 and all-1 rows use shared constants
+ * - Memory usage grows with the number of runs, not the surface area
+ *
+ * Storage switches automatically: uniform fills and bulk operations whose
+ * result has few runs go sparse, and a sparse buffer becomes dense once its
+ * run lists would outgrow the packed bits (see BitBuffer.SPARSE_RATIO).
+ * Handing out the packed array (ClipMask.buffer, SourceMask.buffer) pins the
+ * buffer to dense storage so that array stays live.
  */
 class BitBuffer {
     /**
@@ -39,8 +51,12 @@ class BitBuffer {
         this._numBytes = Math.ceil(this._numPixels / 8);
         this._defaultValue = defaultValue;
         
-        // Create buffer and initialize to default value
-        this._buffer = new Uint8Array(this._numBytes);
+        // Exactly one of _buffer (dense) and _rows (sparse) is non-null
+        this._buffer = null;
+        this._rows = null;
+        this._runTotal = 0; // Sum of run list lengths while sparse
+        this._fullRow = Object.freeze([0, width]);
+        this._pinned = false; // Set once the dense array is handed out; storage then stays dense
         this._initializeToDefault();
         
         // Make dimensions immutable
@@ -53,21 +69,38 @@ class BitBuffer {
      * @private
      */
     _initializeToDefault() {
-        if (this._defaultValue === 1) {
-            // Initialize to all 1s
-            this._buffer.fill(0xFF);
-            
-            // Handle partial last byte if width*height is not divisible by 8
-            const remainderBits = this._numPixels % 8;
-            if (remainderBits !== 0) {
-                const lastByteIndex = this._numBytes - 1;
-                const lastByteMask = (1 << remainderBits) - 1;
-                this._buffer[lastByteIndex] = lastByteMask;
-            }
-        } else {
-            // Initialize to all 0s (default for Uint8Array)
-            this._buffer.fill(0);
+        this._setUniform(this._defaultValue);
+    }
+    
+    /**
+     * Set every bit to the same value, choosing the cheaper storage
+     * @param {number} value - 0 or 1
+     * @private
+     */
+    _setUniform(value) {
+        const runTotal = value ? 2 * this._height : 0;
+        if (!this._pinned && this._estimateSparseBytes(runTotal) <= this._numBytes * BitBuffer.SPARSE_RATIO) {
+            this._buffer = null;
+            this._rows = new Array(this._height).fill(value ? this._fullRow : BitBuffer._EMPTY_ROW);
+            this._runTotal = runTotal;
+            return;
+        }
+        
+        if (this._buffer === null) {
+            this._buffer = new Uint8Array(this._numBytes);
+            this._rows = null;
         }
+        
+        this._buffer.fill(value ? 0xFF : 0);
+        this._maskPaddingBits();
+    }
+    
+    /**
+     * Check whether the buffer currently uses sparse run-list storage
+     * @returns {boolean} True if sparse
+     */
+    get isSparse() {
+        return this._rows !== null;
     }
     
     /**
@@ -106,22 +139,14 @@ class BitBuffer {
      * Clear all bits (set to 0)
      */
     clear() {
-        this._buffer.fill(0);
+        this._setUniform(0);
     }
     
     /**
      * Fill all bits (set to 1)
      */
     fill() {
-        this._buffer.fill(0xFF);
-        
-        // Handle partial last byte
-        const remainderBits = this._numPixels % 8;
-        if (remainderBits !== 0) {
-            const lastByteIndex = this._numBytes - 1;
-            const lastByteMask = (1 << remainderBits) - 1;
-            this._buffer[lastByteIndex] = lastByteMask;
-        }
+        this._setUniform(1);
     }
     
     /**
@@ -131,144 +156,1886 @@ class BitBuffer {
         this._initializeToDefault();
     }
     
+    /**
+     * Set all bits in a rectangle (clamped to the buffer)
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     */
+    fillRect(x, y, width, height) {
+        this._fillRect(x, y, width, height, 1);
+    }
+    
+    /**
+     * Clear all bits in a rectangle (clamped to the buffer)
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     */
+    clearRect(x, y, width, height) {
+        this._fillRect(x, y, width, height, 0);
+    }
+    
+    /**
+     * Fill a clamped rectangle one row at a time
+     * @private
+     */
+    _fillRect(x, y, width, height, value) {
+        const r = this._clampRect(x, y, width, height);
+        if (r === null) {
+            return;
+        }
+        
+        for (let row = r.y0; row < r.y1; row++) {
+            this._fillBits(row * this._width + r.x0, r.x1 - r.x0, value);
+        }
+    }
+    
+    /**
+     * Count the set bits of the whole buffer or of a rectangle
+     * @param {Object} rect - Optional {x, y, width, height}, clamped to the buffer
+     * @returns {number} Number of 1 bits
+     */
+    countSetBits(rect = null) {
+        const r = rect === null
+            ? this._clampRect(0, 0, this._width, this._height)
+            : this._clampRect(rect.x, rect.y, rect.width, rect.height);
+        if (r === null) {
+            return 0;
+        }
+        
+        let count = 0;
+        
+        if (this._rows !== null) {
+            for (let y = r.y0; y < r.y1; y++) {
+                const runs = this._rows[y];
+                for (let i = 0; i < runs.length; i += 2) {
+                    count += Math.max(0, Math.min(r.x1, runs[i + 1]) - Math.max(r.x0, runs[i]));
+                }
+            }
+            return count;
+        }
+        
+        // Full-width rows are contiguous, so count them as one range
+        if (r.x0 === 0 && r.x1 === this._width) {
+            return this._countBits(r.y0 * this._width, r.y1 * this._width);
+        }
+        
+        for (let y = r.y0; y < r.y1; y++) {
+            const rowStart = y * this._width;
+            count += this._countBits(rowStart + r.x0, rowStart + r.x1);
+        }
+        return count;
+    }
+    
+    /**
+     * Find the next set bit in a row
+     * @param {number} row - Row index
+     * @param {number} x - Column to start searching from (inclusive, default 0)
+     * @returns {number} Column of the first 1 bit at or after x, or -1 if none
+     */
+    findNextSet(row, x = 0) {
+        return this._findInRow(row, x, 1);
+    }
+    
+    /**
+     * Find the next clear bit in a row
+     * @param {number} row - Row index
+     * @param {number} x - Column to start searching from (inclusive, default 0)
+     * @returns {number} Column of the first 0 bit at or after x, or -1 if none
+     */
+    findNextClear(row, x = 0) {
+        return this._findInRow(row, x, 0);
+    }
+    
+    /**
+     * Search a row from a column for a bit value
+     * @private
+     */
+    _findInRow(row, x, value) {
+        if (row < 0 || row >= this._height || x >= this._width) {
+            return -1;
+        }
+        
+        const rowStart = row * this._width;
+        const rowEnd = rowStart + this._width;
+        const index = this._findBit(rowStart + Math.max(0, x), rowEnd, value);
+        return index < rowEnd ? index - rowStart : -1;
+    }
+    
+    /**
+     * Visit the runs of set bits in a row, left to right
+     * @param {number} row - Row index
+     * @param {Function} callback - Called as callback(x0, x1) with x1 exclusive
+     */
+    forEachSpan(row, callback) {
+        if (row < 0 || row >= this._height) {
+            return;
+        }
+        
+        const runs = this._getRowRuns(row);
+        for (let i = 0; i < runs.length; i += 2) {
+            callback(runs[i], runs[i + 1]);
+        }
+    }
+    
     /**
      * Perform bitwise AND with another BitBuffer
+     * A different-size buffer, or one placed at an offset, is treated as 0
+     * outside its own rectangle, so bits outside it are cleared.
      * @param {BitBuffer} other - Other BitBuffer to AND with
+     * @param {number} x - X offset of other within this buffer (default 0)
+     * @param {number} y - Y offset of other within this buffer (default 0)
      */
-    and(other) {
-        if (!(other instanceof BitBuffer)) {
-            throw new Error('Argument must be a BitBuffer instance');
+    and(other, x = 0, y = 0) {
+        this._combine(other, x, y, 'and');
+    }
+    
+    /**
+     * Perform bitwise OR (union) with another BitBuffer
+     * @param {BitBuffer} other - Other BitBuffer to OR with
+     * @param {number} x - X offset of other within this buffer (default 0)
+     * @param {number} y - Y offset of other within this buffer (default 0)
+     */
+    or(other, x = 0, y = 0) {
+        this._combine(other, x, y, 'or');
+    }
+    
+    /**
+     * Perform bitwise XOR with another BitBuffer
+     * @param {BitBuffer} other - Other BitBuffer to XOR with
+     * @param {number} x - X offset of other within this buffer (default 0)
+     * @param {number} y - Y offset of other within this buffer (default 0)
+     */
+    xor(other, x = 0, y = 0) {
+        this._combine(other, x, y, 'xor');
+    }
+    
+    /**
+     * Clear the bits set in another BitBuffer (difference: this AND NOT other)
+     * @param {BitBuffer} other - Other BitBuffer to subtract
+     * @param {number} x - X offset of other within this buffer (default 0)
+     * @param {number} y - Y offset of other within this buffer (default 0)
+     */
+    andNot(other, x = 0, y = 0) {
+        this._combine(other, x, y, 'andNot');
+    }
+    
+    /**
+     * Invert all bits
+     */
+    invert() {
+        if (this._rows !== null) {
+            for (let y = 0; y < this._height; y++) {
+                this._setRow(y, BitBuffer._mergeRuns(this._fullRow, this._rows[y], 'andNot'));
+            }
+            this._updateStorage();
+            return;
         }
         
-        if (other._width !== this._width || other._height !== this._height) {
-            throw new Error('BitBuffer dimensions must match for AND operation');
+        const words = this._getWords();
+        for (let i = 0; i < words.length; i++) {
+            words[i] = ~words[i];
         }
         
-        // Perform bitwise AND on each byte
-        for (let i = 0; i < this._numBytes; i++) {
-            this._buffer[i] &= other._buffer[i];
+        for (let i = words.length * 4; i < this._numBytes; i++) {
+            this._buffer[i] = ~this._buffer[i];
         }
+        
+        this._maskPaddingBits();
+        this._updateStorage();
     }
     
     /**
      * Copy data from another BitBuffer
+     * A different-size buffer, or one placed at an offset, only overwrites
+     * the bits inside its own rectangle.
      * @param {BitBuffer} other - Source BitBuffer to copy from
+     * @param {number} x - X offset of other within this buffer (default 0)
+     * @param {number} y - Y offset of other within this buffer (default 0)
      */
-    copyFrom(other) {
+    copyFrom(other, x = 0, y = 0) {
+        this._combine(other, x, y, 'copy');
+    }
+    
+    /**
+     * Apply a boolean operation with another BitBuffer
+     * @param {BitBuffer} other - Other BitBuffer
+     * @param {number} x - X offset of other within this buffer
+     * @param {number} y - Y offset of other within this buffer
+     * @param {string} op - 'and', 'or', 'xor', 'andNot' or 'copy'
+     * @private
+     */
+    _combine(other, x, y, op) {
         if (!(other instanceof BitBuffer)) {
             throw new Error('Argument must be a BitBuffer instance');
         }
         
-        if (other._width !== this._width || other._height !== this._height) {
-            throw new Error('BitBuffer dimensions must match for copy operation');
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            throw new Error('BitBuffer offsets must be integers');
         }
         
-        this._buffer.set(other._buffer);
+        const sameLayout = x === 0 && y === 0 && other._width === this._width && other._height === this._height;
+        
+        if (sameLayout && op === 'copy') {
+            this._adoptStorage(other);
+            return;
+        }
+        
+        if (this._rows !== null) {
+            this._combineRuns(other, x, y, op);
+        } else if (other._rows !== null) {
+            this._combineDenseWithRuns(other, x, y, op);
+        } else if (sameLayout) {
+            this._combineWords(other, op);
+        } else {
+            this._combineRegion(other, x, y, op);
+        }
+        
+        this._updateStorage();
     }
     
     /**
-     * Check if buffer is completely filled (all 1s)
-     * @returns {boolean} True if all bits are 1
+     * Become an exact copy of a same-size buffer, sharing its run lists
+     * @private
      */
-    isFull() {
-        // Quick check: if all bytes are 0xFF except possibly the last one
-        for (let i = 0; i < this._numBytes - 1; i++) {
-            if (this._buffer[i] !== 0xFF) {
-                return false;
+    _adoptStorage(other) {
+        if (other._rows !== null && !this._pinned) {
+            this._buffer = null;
+            this._rows = other._rows.map(row => row === other._fullRow ? this._fullRow : row);
+            this._runTotal = other._runTotal;
+            return;
+        }
+        
+        if (other._rows !== null) {
+            // Pinned: write the runs into the existing array
+            this._buffer.fill(0);
+            for (let y = 0; y < this._height; y++) {
+                const runs = other._rows[y];
+                for (let i = 0; i < runs.length; i += 2) {
+                    this._fillBits(y * this._width + runs[i], runs[i + 1] - runs[i], 1);
+                }
             }
+            return;
         }
         
-        // Check last byte accounting for partial bits
-        const remainderBits = this._numPixels % 8;
-        if (remainderBits === 0) {
-            return this._buffer[this._numBytes - 1] === 0xFF;
-        } else {
-            const lastByteMask = (1 << remainderBits) - 1;
-            return this._buffer[this._numBytes - 1] === lastByteMask;
+        if (this._buffer === null) {
+            this._buffer = new Uint8Array(this._numBytes);
+            this._rows = null;
+        }
+        this._buffer.set(other._buffer);
+    }
+    
+    /**
+     * Apply a boolean operation to a sparse buffer, row by row on run lists
+     * @private
+     */
+    _combineRuns(other, ox, oy, op) {
+        const left = Math.max(0, ox);
+        const right = Math.min(this._width, ox + other._width);
+        const rect = left < right ? [left, right] : BitBuffer._EMPTY_ROW;
+        
+        for (let y = 0; y < this._height; y++) {
+            const sy = y - oy;
+            const inside = sy >= 0 && sy < other._height && rect.length > 0;
+            
+            if (!inside) {
+                // Other is 0 here: only AND changes anything
+                if (op === 'and') {
+                    this._setRow(y, BitBuffer._EMPTY_ROW);
+                }
+                continue;
+            }
+            
+            const runs = this._shiftRuns(other._getRowRuns(sy), ox);
+            const row = this._rows[y];
+            
+            if (op === 'copy') {
+                this._setRow(y, BitBuffer._mergeRuns(BitBuffer._mergeRuns(row, rect, 'andNot'), runs, 'or'));
+            } else {
+                this._setRow(y, BitBuffer._mergeRuns(row, runs, op));
+            }
         }
     }
     
     /**
-     * Check if buffer is completely empty (all 0s)
-     * @returns {boolean} True if all bits are 0
+     * Apply a boolean operation from a sparse buffer onto dense bits
+     * @private
      */
-    isEmpty() {
-        for (let i = 0; i < this._numBytes; i++) {
-            if (this._buffer[i] !== 0) {
-                return false;
+    _combineDenseWithRuns(other, ox, oy, op) {
+        const x0 = Math.max(0, ox);
+        const y0 = Math.max(0, oy);
+        const x1 = Math.min(this._width, ox + other._width);
+        const y1 = Math.min(this._height, oy + other._height);
+        const overlap = x0 < x1 && y0 < y1;
+        
+        if (op === 'and') {
+            if (!overlap) {
+                this.clear();
+                return;
+            }
+            this._clearOutside(x0, y0, x1, y1);
+        }
+        
+        if (!overlap) {
+            return;
+        }
+        
+        for (let y = y0; y < y1; y++) {
+            const runs = this._shiftRuns(other._getRowRuns(y - oy), ox);
+            const rowStart = y * this._width;
+            
+            if (op === 'and' || op === 'copy') {
+                // Bits of the overlap not covered by runs become 0
+                const gaps = BitBuffer._mergeRuns([x0, x1], runs, 'andNot');
+                for (let i = 0; i < gaps.length; i += 2) {
+                    this._fillBits(rowStart + gaps[i], gaps[i + 1] - gaps[i], 0);
+                }
+                if (op === 'and') {
+                    continue;
+                }
+            }
+            
+            for (let i = 0; i < runs.length; i += 2) {
+                const start = rowStart + runs[i];
+                const count = runs[i + 1] - runs[i];
+                if (op === 'xor') {
+                    for (let done = 0; done < count; done += 24) {
+                        const n = Math.min(24, count - done);
+                        this._writeBits(start + done, n, ~this._readBits(start + done, n));
+                    }
+                } else {
+                    this._fillBits(start, count, op === 'andNot' ? 0 : 1);
+                }
             }
         }
-        return true;
     }
     
     /**
-     * Get memory usage in bytes
-     * @returns {number} Memory usage of the buffer
+     * Clear all dense bits outside a rectangle
+     * @private
      */
-    getMemoryUsage() {
-        return this._buffer.byteLength;
+    _clearOutside(x0, y0, x1, y1) {
+        this._fillBits(0, y0 * this._width, 0);
+        this._fillBits(y1 * this._width, (this._height - y1) * this._width, 0);
+        for (let row = y0; row < y1; row++) {
+            this._fillBits(row * this._width, x0, 0);
+            this._fillBits(row * this._width + x1, this._width - x1, 0);
+        }
     }
     
     /**
-     * Get bit value at linear pixel index
-     * @param {number} pixelIndex - Linear pixel index
-     * @returns {number} 0 or 1
+     * Apply a boolean operation to same-size buffers, 32 bits at a time
      * @private
      */
-    _getBit(pixelIndex) {
-        const byteIndex = Math.floor(pixelIndex / 8);
-        const bitIndex = pixelIndex % 8;
+    _combineWords(other, op) {
+        if (op === 'copy') {
+            this._buffer.set(other._buffer);
+            return;
+        }
         
-        if (byteIndex >= this._buffer.length) {
-            return 0; // Out of bounds pixels return 0
+        const a = this._getWords();
+        const b = other._getWords();
+        const n = a.length;
+        
+        switch (op) {
+            case 'and': for (let i = 0; i < n; i++) a[i] &= b[i]; break;
+            case 'or': for (let i = 0; i < n; i++) a[i] |= b[i]; break;
+            case 'xor': for (let i = 0; i < n; i++) a[i] ^= b[i]; break;
+            case 'andNot': for (let i = 0; i < n; i++) a[i] &= ~b[i]; break;
         }
         
-        return (this._buffer[byteIndex] & (1 << bitIndex)) !== 0 ? 1 : 0;
+        // Remaining bytes past the last whole word
+        for (let i = n * 4; i < this._numBytes; i++) {
+            this._buffer[i] = BitBuffer._apply(op, this._buffer[i], other._buffer[i]);
+        }
     }
     
     /**
-     * Set bit value at linear pixel index
-     * @param {number} pixelIndex - Linear pixel index
+     * Apply a boolean operation with a buffer placed at an offset
+     * Rows are not byte-aligned, so each overlapping row is processed in
+     * 24-bit chunks read and written at arbitrary bit positions.
+     * @private
+     */
+    _combineRegion(other, x, y, op) {
+        const x0 = Math.max(0, x);
+        const y0 = Math.max(0, y);
+        const x1 = Math.min(this._width, x + other._width);
+        const y1 = Math.min(this._height, y + other._height);
+        
+        if (x0 >= x1 || y0 >= y1) {
+            if (op === 'and') {
+                this.clear(); // No overlap: other is 0 everywhere
+            }
+            return;
+        }
+        
+        if (op === 'and') {
+            this._clearOutside(x0, y0, x1, y1);
+        }
+        
+        const length = x1 - x0;
+        for (let row = y0; row < y1; row++) {
+            const src = (row - y) * other._width + (x0 - x);
+            const dst = row * this._width + x0;
+            for (let done = 0; done < length; done += 24) {
+                const count = Math.min(24, length - done);
+                const value = BitBuffer._apply(op, this._readBits(dst + done, count), other._readBits(src + done, count));
+                this._writeBits(dst + done, count, value);
+            }
+        }
+    }
+    
+    /**
+     * Combine two bit groups
+     * @private
+     */
+    static _apply(op, a, b) {
+        switch (op) {
+            case 'and': return a & b;
+            case 'or': return a | b;
+            case 'xor': return a ^ b;
+            case 'andNot': return a & ~b;
+            case 'copy': return b;
+        }
+        throw new Error(`Unknown BitBuffer operation: ${op}`);
+    }
+    
+    /**
+     * Get a 32-bit view over the whole words of the buffer
+     * Bitwise operations are endianness-independent, so words can be combined
+     * directly; bytes past the last whole word are handled separately.
+     * @returns {Uint32Array} Word view sharing memory with the buffer
+     * @private
+     */
+    _getWords() {
+        return new Uint32Array(this._buffer.buffer, this._buffer.byteOffset, this._numBytes >> 2);
+    }
+    
+    /**
+     * Read up to 24 bits starting at a linear pixel index (dense storage only)
+     * @param {number} pixelIndex - First pixel index
+     * @param {number} count - Number of bits (1-24)
+     * @returns {number} Bits, first pixel in bit 0
+     * @private
+     */
+    _readBits(pixelIndex, count) {
+        const buffer = this._buffer;
+        const byteIndex = pixelIndex >> 3;
+        const word = buffer[byteIndex] | (buffer[byteIndex + 1] << 8) |
+                     (buffer[byteIndex + 2] << 16) | (buffer[byteIndex + 3] << 24);
+        return (word >>> (pixelIndex & 7)) & ((1 << count) - 1);
+    }
+    
+    /**
+     * Write up to 24 bits starting at a linear pixel index (dense storage only)
+     * @param {number} pixelIndex - First pixel index
+     * @param {number} count - Number of bits (1-24)
+     * @param {number} value - Bits, first pixel in bit 0
+     * @private
+     */
+    _writeBits(pixelIndex, count, value) {
+        const buffer = this._buffer;
+        const shift = pixelIndex & 7;
+        // count + shift <= 31, so the shifted values stay positive
+        let mask = ((1 << count) - 1) << shift;
+        let bits = (value << shift) & mask;
+        
+        for (let i = pixelIndex >> 3; mask !== 0; i++, mask >>>= 8, bits >>>= 8) {
+            const byteMask = mask & 0xFF;
+            buffer[i] = (buffer[i] & ~byteMask) | (bits & byteMask);
+        }
+    }
+    
+    /**
+     * Set a run of bits to 0 or 1, whole bytes at a time
+     * @param {number} pixelIndex - First pixel index
+     * @param {number} count - Number of bits
      * @param {number} value - 0 or 1
      * @private
      */
-    _setBit(pixelIndex, value) {
-        const byteIndex = Math.floor(pixelIndex / 8);
-        const bitIndex = pixelIndex % 8;
+    _fillBits(pixelIndex, count, value) {
+        if (this._rows !== null) {
+            this._fillRuns(pixelIndex, count, value);
+            return;
+        }
         
-        if (byteIndex >= this._buffer.length) {
-            return; // Ignore out of bounds
+        let index = pixelIndex;
+        const end = pixelIndex + count;
+        
+        // Leading partial byte
+        while (index < end && (index & 7) !== 0) {
+            this._setBit(index++, value);
         }
         
-        if (value) {
-            this._buffer[byteIndex] |= (1 << bitIndex);
-        } else {
-            this._buffer[byteIndex] &= ~(1 << bitIndex);
+        // Whole bytes
+        const wholeBytes = (end - index) >> 3;
+        if (wholeBytes > 0) {
+            this._buffer.fill(value ? 0xFF : 0, index >> 3, (index >> 3) + wholeBytes);
+            index += wholeBytes * 8;
+        }
+        
+        // Trailing partial byte
+        while (index < end) {
+            this._setBit(index++, value);
         }
     }
     
     /**
-     * String representation for debugging
-     * @returns {string} BitBuffer description
+     * Find the first bit with a given value in a linear pixel range
+     * Whole words and bytes that cannot contain a match are skipped.
+     * @param {number} start - First pixel index (inclusive)
+     * @param {number} end - Last pixel index (exclusive)
+     * @param {number} value - Bit value to find (0 or 1)
+     * @returns {number} Pixel index of the first match, or end if none
+     * @private
      */
-    toString() {
-        const memoryKB = (this.getMemoryUsage() / 1024).toFixed(2);
-        const state = this.isEmpty() ? 'empty' : this.isFull() ? 'full' : 'mixed';
-        return `BitBuffer(${this._width}×${this._height}, ${memoryKB}KB, ${state})`;
+    _findBit(start, end, value) {
+        if (this._rows !== null) {
+            return this._findRun(start, end, value);
+        }
+        
+        const buffer = this._buffer;
+        const skip = value ? 0 : 0xFF;
+        const skipWord = value ? 0 : 0xFFFFFFFF;
+        let words = null;
+        let index = start;
+        
+        while (index < end) {
+            if ((index & 31) === 0 && index + 32 <= end) {
+                words = words || this._getWords();
+                if (words[index >> 5] === skipWord) {
+                    index += 32;
+                    continue;
+                }
+            }
+            if ((index & 7) === 0 && buffer[index >> 3] === skip) {
+                index += 8;
+                continue;
+            }
+            if (((buffer[index >> 3] >> (index & 7)) & 1) === value) {
+                return index;
+            }
+            index++;
+        }
+        
+        return end;
     }
     
     /**
-     * Check equality with another BitBuffer
-     * @param {BitBuffer} other - Other BitBuffer to compare
-     * @returns {boolean} True if buffers are identical
+     * Count the set bits in a linear pixel range (dense storage only)
+     * Whole 32-bit words are counted at once between partial edges.
+     * @param {number} start - First pixel index (inclusive)
+     * @param {number} end - Last pixel index (exclusive)
+     * @returns {number} Number of 1 bits
+     * @private
      */
-    equals(other) {
-        if (!(other instanceof BitBuffer)) {
-            return false;
+    _countBits(start, end) {
+        const buffer = this._buffer;
+        let count = 0;
+        let index = start;
+        
+        // Leading bits and bytes up to a word boundary
+        while (index < end && (index & 31) !== 0) {
+            if ((index & 7) === 0 && index + 8 <= end) {
+                count += BitBuffer._popcount(buffer[index >> 3]);
+                index += 8;
+            } else {
+                count += (buffer[index >> 3] >> (index & 7)) & 1;
+                index++;
+            }
         }
         
-        if (other._width !== this._width || other._height !== this._height) {
-            return false;
+        // Whole words
+        if (index + 32 <= end) {
+            const words = this._getWords();
+            for (; index + 32 <= end; index += 32) {
+                count += BitBuffer._popcount(words[index >> 5]);
+            }
+        }
+        
+        // Trailing bytes and bits
+        while (index < end) {
+            if ((index & 7) === 0 && index + 8 <= end) {
+                count += BitBuffer._popcount(buffer[index >> 3]);
+                index += 8;
+            } else {
+                count += (buffer[index >> 3] >> (index & 7)) & 1;
+                index++;
+            }
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Count the 1 bits of a 32-bit value
+     * @private
+     */
+    static _popcount(v) {
+        v = v - ((v >>> 1) & 0x55555555);
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        return (Math.imul((v + (v >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24);
+    }
+    
+    /**
+     * Clamp a rectangle to the buffer, flooring fractional edges
+     * @returns {Object|null} {x0, y0, x1, y1} with exclusive ends, or null if empty
+     * @private
+     */
+    _clampRect(x, y, width, height) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(this._width, Math.floor(x + width));
+        const y1 = Math.min(this._height, Math.floor(y + height));
+        return x0 < x1 && y0 < y1 ? { x0, y0, x1, y1 } : null;
+    }
+    
+    /**
+     * Get the packed dense bits, converting sparse storage first
+     * The buffer is pinned to dense storage from then on, so the returned
+     * array is never detached by a later switch to run lists.
+     * @returns {Uint8Array} The raw bit buffer
+     * @private
+     */
+    _getBuffer() {
+        this._ensureDense();
+        this._pinned = true;
+        return this._buffer;
+    }
+    
+    /**
+     * Get the packed dense bits without converting or pinning storage
+     * @returns {Uint8Array|null} The raw bit buffer, or null while sparse
+     * @private
+     */
+    _peekBuffer() {
+        return this._buffer;
+    }
+    
+    /**
+     * Get the set-bit runs of a row in either storage
+     * @param {number} y - Row index
+     * @returns {number[]} Run list [x0, x1, ...] (must not be modified)
+     * @private
+     */
+    _getRowRuns(y) {
+        if (this._rows !== null) {
+            return this._rows[y];
+        }
+        
+        const runs = [];
+        const rowStart = y * this._width;
+        const rowEnd = rowStart + this._width;
+        let index = this._findBit(rowStart, rowEnd, 1);
+        while (index < rowEnd) {
+            const runEnd = this._findBit(index, rowEnd, 0);
+            runs.push(index - rowStart, runEnd - rowStart);
+            index = this._findBit(runEnd, rowEnd, 1);
+        }
+        return runs;
+    }
+    
+    /**
+     * Store a sparse row, reusing the shared empty/full constants
+     * @private
+     */
+    _setRow(y, runs) {
+        if (runs.length === 0) {
+            runs = BitBuffer._EMPTY_ROW;
+        } else if (runs.length === 2 && runs[0] === 0 && runs[1] === this._width) {
+            runs = this._fullRow;
+        }
+        
+        this._runTotal += runs.length - this._rows[y].length;
+        this._rows[y] = runs;
+    }
+    
+    /**
+     * Translate a run list by dx and clip it to this buffer's width
+     * @private
+     */
+    _shiftRuns(runs, dx) {
+        if (dx === 0 && (runs.length === 0 || runs[runs.length - 1] <= this._width)) {
+            return runs;
+        }
+        
+        const shifted = [];
+        for (let i = 0; i < runs.length; i += 2) {
+            const x0 = Math.max(0, runs[i] + dx);
+            const x1 = Math.min(this._width, runs[i + 1] + dx);
+            if (x0 < x1) {
+                shifted.push(x0, x1);
+            }
+        }
+        return shifted;
+    }
+    
+    /**
+     * Set a linear pixel range in sparse storage
+     * Densifies once a touched row holds more runs than its packed bits
+     * would take, after which the rest of the range is filled densely.
+     * @private
+     */
+    _fillRuns(pixelIndex, count, value) {
+        const end = pixelIndex + count;
+        const maxRowLength = this._width / 64; // 8 bytes per run boundary vs width / 8 bytes
+        let index = pixelIndex;
+        
+        while (index < end) {
+            const y = Math.floor(index / this._width);
+            const rowStart = y * this._width;
+            const x0 = index - rowStart;
+            const x1 = Math.min(this._width, end - rowStart);
+            
+            this._setRow(y, BitBuffer._mergeRuns(this._rows[y], [x0, x1], value ? 'or' : 'andNot'));
+            index = rowStart + x1;
+            
+            if (this._rows[y].length > maxRowLength && this._rows[y] !== this._fullRow) {
+                this._ensureDense();
+                this._fillBits(index, end - index, value);
+                return;
+            }
+        }
+        
+        if (this._estimateSparseBytes(this._runTotal) > this._numBytes) {
+            this._ensureDense();
+        }
+    }
+    
+    /**
+     * Sparse counterpart of _findBit
+     * @private
+     */
+    _findRun(start, end, value) {
+        let index = start;
+        
+        while (index < end) {
+            const y = Math.floor(index / this._width);
+            const rowStart = y * this._width;
+            const limit = Math.min(this._width, end - rowStart); // Exclusive column limit
+            const runs = this._rows[y];
+            let x = index - rowStart;
+            
+            for (let i = 0; i < runs.length && x < limit; i += 2) {
+                if (runs[i + 1] <= x) {
+                    continue;
+                }
+                if (value) {
+                    x = Math.max(x, runs[i]);
+                    if (x < limit) {
+                        return rowStart + x;
+                    }
+                    break;
+                }
+                if (runs[i] > x) {
+                    return rowStart + x;
+                }
+                x = runs[i + 1];
+            }
+            
+            if (!value && x < limit) {
+                return rowStart + x;
+            }
+            index = rowStart + limit;
+        }
+        
+        return end;
+    }
+    
+    /**
+     * Estimate sparse storage size: row table plus run list contents
+     * @private
+     */
+    _estimateSparseBytes(runTotal) {
+        return this._height * 24 + runTotal * 8;
+    }
+    
+    /**
+     * Switch storage after a bulk operation if the other form is cheaper
+     * @private
+     */
+    _updateStorage() {
+        if (this._rows !== null) {
+            if (this._estimateSparseBytes(this._runTotal) > this._numBytes) {
+                this._ensureDense();
+            }
+        } else {
+            this._trySparsify();
+        }
+    }
+    
+    /**
+     * Convert sparse storage to packed bits
+     * @private
+     */
+    _ensureDense() {
+        if (this._rows === null) {
+            return;
+        }
+        
+        const rows = this._rows;
+        this._rows = null;
+        this._runTotal = 0;
+        this._buffer = new Uint8Array(this._numBytes);
+        
+        for (let y = 0; y < this._height; y++) {
+            const runs = rows[y];
+            for (let i = 0; i < runs.length; i += 2) {
+                this._fillBits(y * this._width + runs[i], runs[i + 1] - runs[i], 1);
+            }
+        }
+    }
+    
+    /**
+     * Convert packed bits to run lists if they fit the sparse budget
+     * Scanning stops as soon as the budget is exceeded.
+     * @private
+     */
+    _trySparsify() {
+        const budget = (this._numBytes * BitBuffer.SPARSE_RATIO - this._height * 24) / 8;
+        if (budget < 0 || this._pinned) {
+            return;
+        }
+        
+        const rows = new Array(this._height);
+        let runTotal = 0;
+        for (let y = 0; y < this._height; y++) {
+            const runs = this._getRowRuns(y);
+            runTotal += runs.length;
+            if (runTotal > budget) {
+                return;
+            }
+            rows[y] = runs;
+        }
+        
+        this._buffer = null;
+        this._rows = new Array(this._height).fill(BitBuffer._EMPTY_ROW);
+        this._runTotal = 0;
+        rows.forEach((runs, y) => this._setRow(y, runs));
+    }
+    
+    /**
+     * Combine two sorted run lists with a boolean operation
+     * @param {number[]} a - First run list
+     * @param {number[]} b - Second run list
+     * @param {string} op - 'and', 'or', 'xor', 'andNot' or 'copy'
+     * @returns {number[]} Resulting run list (may be a or b itself)
+     * @private
+     */
+    static _mergeRuns(a, b, op) {
+        if (b.length === 0) {
+            return op === 'and' || op === 'copy' ? BitBuffer._EMPTY_ROW : a;
+        }
+        if (a.length === 0) {
+            return op === 'and' || op === 'andNot' ? BitBuffer._EMPTY_ROW : b;
+        }
+        
+        const out = [];
+        let i = 0, j = 0;
+        let inA = false, inB = false, inOut = false;
+        
+        // Sweep the run boundaries of both lists in order
+        while (i < a.length || j < b.length) {
+            const pa = i < a.length ? a[i] : Infinity;
+            const pb = j < b.length ? b[j] : Infinity;
+            const position = Math.min(pa, pb);
+            if (pa === position) { inA = !inA; i++; }
+            if (pb === position) { inB = !inB; j++; }
+            
+            const value = BitBuffer._apply(op, inA ? 1 : 0, inB ? 1 : 0) & 1;
+            if ((value === 1) !== inOut) {
+                out.push(position);
+                inOut = !inOut;
+            }
+        }
+        
+        return out;
+    }
+    
+    /**
+     * Check whether a run list contains a column (binary search)
+     * @private
+     */
+    static _runsContain(runs, x) {
+        let lo = 0;
+        let hi = runs.length;
+        // Count boundaries <= x; an odd count means x is inside a run
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (runs[mid] <= x) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return (lo & 1) === 1;
+    }
+    
+    /**
+     * Zero the unused bits of the last byte
+     * @private
+     */
+    _maskPaddingBits() {
+        const remainderBits = this._numPixels % 8;
+        if (remainderBits !== 0) {
+            this._buffer[this._numBytes - 1] &= (1 << remainderBits) - 1;
+        }
+    }
+    
+    /**
+     * Check if buffer is completely filled (all 1s)
+     * @returns {boolean} True if all bits are 1
+     */
+    isFull() {
+        if (this._rows !== null) {
+            return this._rows.every(row => row === this._fullRow);
+        }
+        
+        // Quick check: if all bytes are 0xFF except possibly the last one
+        for (let i = 0; i < this._numBytes - 1; i++) {
+            if (this._buffer[i] !== 0xFF) {
+                return false;
+            }
+        }
+        
+        // Check last byte accounting for partial bits
+        const remainderBits = this._numPixels % 8;
+        if (remainderBits === 0) {
+            return this._buffer[this._numBytes - 1] === 0xFF;
+        } else {
+            const lastByteMask = (1 << remainderBits) - 1;
+            return this._buffer[this._numBytes - 1] === lastByteMask;
+        }
+    }
+    
+    /**
+     * Check if buffer is completely empty (all 0s)
+     * @returns {boolean} True if all bits are 0
+     */
+    isEmpty() {
+        if (this._rows !== null) {
+            return this._runTotal === 0;
+        }
+        
+        for (let i = 0; i < this._numBytes; i++) {
+            if (this._buffer[i] !== 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Get memory usage in bytes
+     * Sparse storage is estimated from the row table and run list sizes.
+     * @returns {number} Memory usage of the buffer
+     */
+    getMemoryUsage() {
+        if (this._rows !== null) {
+            return this._estimateSparseBytes(this._runTotal);
+        }
+        return this._buffer.byteLength;
+    }
+    
+    /**
+     * Get bit value at linear pixel index
+     * @param {number} pixelIndex - Linear pixel index
+     * @returns {number} 0 or 1
+     * @private
+     */
+    _getBit(pixelIndex) {
+        if (this._rows !== null) {
+            if (pixelIndex < 0 || pixelIndex >= this._numPixels) {
+                return 0;
+            }
+            const y = Math.floor(pixelIndex / this._width);
+            return BitBuffer._runsContain(this._rows[y], pixelIndex - y * this._width) ? 1 : 0;
+        }
+        
+        const byteIndex = Math.floor(pixelIndex / 8);
+        const bitIndex = pixelIndex % 8;
+        
+        if (byteIndex >= this._buffer.length) {
+            return 0; // Out of bounds pixels return 0
+        }
+        
+        return (this._buffer[byteIndex] & (1 << bitIndex)) !== 0 ? 1 : 0;
+    }
+    
+    /**
+     * Set bit value at linear pixel index
+     * @param {number} pixelIndex - Linear pixel index
+     * @param {number} value - 0 or 1
+     * @private
+     */
+    _setBit(pixelIndex, value) {
+        if (this._rows !== null) {
+            if (pixelIndex >= 0 && pixelIndex < this._numPixels) {
+                this._fillRuns(pixelIndex, 1, value);
+            }
+            return;
+        }
+        
+        const byteIndex = Math.floor(pixelIndex / 8);
+        const bitIndex = pixelIndex % 8;
+        
+        if (byteIndex >= this._buffer.length) {
+            return; // Ignore out of bounds
+        }
+        
+        if (value) {
+            this._buffer[byteIndex] |= (1 << bitIndex);
+        } else {
+            this._buffer[byteIndex] &= ~(1 << bitIndex);
+        }
+    }
+    
+    /**
+     * Grow the set region by a structuring element (morphological dilation)
+     * Pixels outside the buffer count as 0.
+     * @param {number} radius - Element radius in pixels (0 = no change)
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    dilate(radius, shape = 'square') {
+        const halfWidths = BitBuffer._structuringElement(radius, shape);
+        if (halfWidths.length > 1) {
+            this._dilateRows(halfWidths);
+        }
+    }
+    
+    /**
+     * Shrink the set region by a structuring element (morphological erosion)
+     * Pixels outside the buffer count as 1, so the buffer edge does not erode.
+     * @param {number} radius - Element radius in pixels (0 = no change)
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    erode(radius, shape = 'square') {
+        const halfWidths = BitBuffer._structuringElement(radius, shape);
+        if (halfWidths.length > 1) {
+            // Erosion is the dual of dilation: erode(A) = NOT dilate(NOT A)
+            this.invert();
+            this._dilateRows(halfWidths);
+            this.invert();
+        }
+    }
+    
+    /**
+     * Morphological opening (erode, then dilate): removes specks and thin parts
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    open(radius, shape = 'square') {
+        this.erode(radius, shape);
+        this.dilate(radius, shape);
+    }
+    
+    /**
+     * Morphological closing (dilate, then erode): fills small holes and gaps
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    close(radius, shape = 'square') {
+        this.dilate(radius, shape);
+        this.erode(radius, shape);
+    }
+    
+    /**
+     * Describe a structuring element as row half-widths
+     * @returns {number[]} Half-width of the element for each row offset -radius..radius
+     * @private
+     */
+    static _structuringElement(radius, shape) {
+        if (typeof radius !== 'number' || !Number.isInteger(radius) || radius < 0) {
+            throw new Error('Morphology radius must be a non-negative integer');
+        }
+        
+        if (!BitBuffer.STRUCTURING_ELEMENTS.includes(shape)) {
+            throw new Error(`Unknown structuring element: ${shape}`);
+        }
+        
+        const halfWidths = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            halfWidths.push(shape === 'disk' ? Math.floor(Math.sqrt(radius * radius - dy * dy)) : radius);
+        }
+        return halfWidths;
+    }
+    
+    /**
+     * Dilate on run lists: each output row is the union of the nearby input
+     * rows, each widened by the element's half-width at that row offset
+     * @private
+     */
+    _dilateRows(halfWidths) {
+        const radius = (halfWidths.length - 1) / 2;
+        const source = [];
+        for (let y = 0; y < this._height; y++) {
+            source.push(this._getRowRuns(y));
+        }
+        
+        const rows = [];
+        for (let y = 0; y < this._height; y++) {
+            let runs = BitBuffer._EMPTY_ROW;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const sy = y + dy;
+                if (sy >= 0 && sy < this._height && source[sy].length > 0) {
+                    runs = BitBuffer._mergeRuns(runs, this._widenRuns(source[sy], halfWidths[dy + radius]), 'or');
+                }
+            }
+            rows.push(runs);
+        }
+        
+        this._setAllRows(rows);
+    }
+    
+    /**
+     * Extend every run by a distance on both sides, merging overlaps
+     * @private
+     */
+    _widenRuns(runs, distance) {
+        if (distance === 0) {
+            return runs;
+        }
+        
+        const widened = [];
+        for (let i = 0; i < runs.length; i += 2) {
+            const x0 = Math.max(0, runs[i] - distance);
+            const x1 = Math.min(this._width, runs[i + 1] + distance);
+            if (widened.length > 0 && x0 <= widened[widened.length - 1]) {
+                widened[widened.length - 1] = x1;
+            } else {
+                widened.push(x0, x1);
+            }
+        }
+        return widened;
+    }
+    
+    /**
+     * Replace the contents with one run list per row, choosing the storage
+     * @param {number[][]} rows - Run list for each row
+     * @private
+     */
+    _setAllRows(rows) {
+        const runTotal = rows.reduce((sum, runs) => sum + runs.length, 0);
+        if (!this._pinned && this._estimateSparseBytes(runTotal) <= this._numBytes * BitBuffer.SPARSE_RATIO) {
+            this._buffer = null;
+            this._rows = new Array(this._height).fill(BitBuffer._EMPTY_ROW);
+            this._runTotal = 0;
+            rows.forEach((runs, y) => this._setRow(y, runs));
+            return;
+        }
+        
+        if (this._buffer === null) {
+            this._buffer = new Uint8Array(this._numBytes);
+            this._rows = null;
+            this._runTotal = 0;
+        } else {
+            this._buffer.fill(0);
+        }
+        
+        rows.forEach((runs, y) => {
+            for (let i = 0; i < runs.length; i += 2) {
+                this._fillBits(y * this._width + runs[i], runs[i + 1] - runs[i], 1);
+            }
+        });
+    }
+    
+    /**
+     * Label connected regions of set bits
+     * Labels are numbered from 1 in raster order of each region's first pixel.
+     * @param {number} connectivity - 4 (edge neighbors, default) or 8 (also diagonal)
+     * @returns {Object} {count, labels, components}: labels is an Int32Array with
+     *   one label per pixel (0 = unset); components[i] describes label i + 1 as
+     *   {label, area, x, y, width, height}
+     */
+    labelComponents(connectivity = 4) {
+        if (connectivity !== 4 && connectivity !== 8) {
+            throw new Error('Connectivity must be 4 or 8');
+        }
+        
+        // Union-find over runs; the root of a set is its first run in raster order
+        const reach = connectivity === 8 ? 1 : 0;
+        const parent = [];
+        const find = id => {
+            while (parent[id] !== id) {
+                parent[id] = parent[parent[id]];
+                id = parent[id];
+            }
+            return id;
+        };
+        
+        const rowRuns = [];
+        const rowFirstId = [];
+        for (let y = 0; y < this._height; y++) {
+            const runs = this._getRowRuns(y);
+            const firstId = parent.length;
+            for (let i = 0; i < runs.length; i += 2) {
+                parent.push(parent.length);
+            }
+            
+            if (y > 0) {
+                const above = rowRuns[y - 1];
+                const aboveFirstId = rowFirstId[y - 1];
+                let j = 0;
+                for (let i = 0; i < runs.length; i += 2) {
+                    // Runs above that end before this one starts cannot touch it or later runs
+                    while (j < above.length && above[j + 1] + reach <= runs[i]) {
+                        j += 2;
+                    }
+                    for (let k = j; k < above.length && above[k] < runs[i + 1] + reach; k += 2) {
+                        const a = find(firstId + i / 2);
+                        const b = find(aboveFirstId + k / 2);
+                        if (a !== b) {
+                            parent[Math.max(a, b)] = Math.min(a, b);
+                        }
+                    }
+                }
+            }
+            
+            rowRuns.push(runs);
+            rowFirstId.push(firstId);
+        }
+        
+        const labels = new Int32Array(this._numPixels);
+        const runLabels = new Int32Array(parent.length);
+        const components = [];
+        const rightEdges = [];
+        for (let y = 0; y < this._height; y++) {
+            const runs = rowRuns[y];
+            const rowStart = y * this._width;
+            for (let i = 0; i < runs.length; i += 2) {
+                const id = rowFirstId[y] + i / 2;
+                const root = find(id);
+                const x0 = runs[i], x1 = runs[i + 1];
+                
+                let component;
+                if (root === id) {
+                    runLabels[id] = components.length + 1;
+                    component = { label: runLabels[id], area: 0, x: x0, y, width: 0, height: 0 };
+                    components.push(component);
+                    rightEdges.push(x1);
+                } else {
+                    runLabels[id] = runLabels[root];
+                    component = components[runLabels[id] - 1];
+                }
+                
+                component.area += x1 - x0;
+                component.x = Math.min(component.x, x0);
+                rightEdges[component.label - 1] = Math.max(rightEdges[component.label - 1], x1);
+                component.height = y + 1 - component.y;
+                labels.fill(runLabels[id], rowStart + x0, rowStart + x1);
+            }
+        }
+        
+        components.forEach((component, i) => {
+            component.width = rightEdges[i] - component.x;
+        });
+        
+        return { count: components.length, labels, components };
+    }
+    
+    /**
+     * Trace the outlines of the set region with marching squares
+     * Outline vertices lie halfway between pixel centers, so filling the
+     * paths with PathRasterizer (either fill rule) reproduces this buffer.
+     * Outer boundaries run clockwise on screen and holes counter-clockwise;
+     * collinear vertices are merged.
+     * @param {Transform2D} transform - Optional transform applied to every vertex,
+     *   e.g. the inverse of the CTM to get user-space paths (default: pixel space)
+     * @param {number} connectivity - 8 (default) joins pixels touching diagonally
+     *   into one outline; 4 keeps them apart
+     * @returns {Object[][]} Closed polygons as arrays of points {x, y}
+     */
+    traceContours(transform = null, connectivity = 8) {
+        if (transform !== null && !(transform instanceof Transform2D)) {
+            throw new Error('Transform must be a Transform2D instance');
+        }
+        
+        if (connectivity !== 4 && connectivity !== 8) {
+            throw new Error('Connectivity must be 4 or 8');
+        }
+        
+        // Vertices use doubled coordinates so every midpoint is an integer,
+        // keyed as a single number; the key stride leaves room for the border
+        const keyStride = 2 * this._width + 6;
+        const toKey = (x2, y2) => (y2 + 2) * keyStride + x2 + 2;
+        const edges = BitBuffer._CONTOUR_EDGES;
+        const next = new Map();
+        
+        // Cells span the centers of pixels (x, y) to (x + 1, y + 1), including a
+        // border of cells around the buffer where outside pixels count as 0
+        let upper = new Uint8Array(this._width + 2);
+        let lower = new Uint8Array(this._width + 2);
+        for (let y = -1; y < this._height; y++) {
+            [upper, lower] = [lower, upper];
+            lower.fill(0);
+            if (y + 1 < this._height) {
+                const runs = this._getRowRuns(y + 1);
+                for (let i = 0; i < runs.length; i += 2) {
+                    lower.fill(1, runs[i] + 1, runs[i + 1] + 1);
+                }
+            }
+            
+            for (let x = -1; x < this._width; x++) {
+                const code = (upper[x + 1] << 3) | (upper[x + 2] << 2) | (lower[x + 2] << 1) | lower[x + 1];
+                if (code === 0 || code === 15) {
+                    continue;
+                }
+                
+                const segments = connectivity === 4 && BitBuffer._CONTOUR_SADDLES[code] || BitBuffer._CONTOUR_CASES[code];
+                for (let i = 0; i < segments.length; i += 2) {
+                    const from = edges[segments[i]];
+                    const to = edges[segments[i + 1]];
+                    next.set(toKey(2 * x + from[0], 2 * y + from[1]), toKey(2 * x + to[0], 2 * y + to[1]));
+                }
+            }
+        }
+        
+        // Each vertex starts exactly one segment, so following them closes every loop
+        const contours = [];
+        for (const start of next.keys()) {
+            if (!next.has(start)) {
+                continue;
+            }
+            
+            const loop = [];
+            let key = start;
+            do {
+                loop.push(key);
+                const following = next.get(key);
+                next.delete(key);
+                key = following;
+            } while (key !== start);
+            
+            const points = [];
+            for (let i = 0; i < loop.length; i++) {
+                const previous = loop[(i + loop.length - 1) % loop.length];
+                const following = loop[(i + 1) % loop.length];
+                const x2 = loop[i] % keyStride - 2, y2 = Math.floor(loop[i] / keyStride) - 2;
+                const px = previous % keyStride - 2, py = Math.floor(previous / keyStride) - 2;
+                const fx = following % keyStride - 2, fy = Math.floor(following / keyStride) - 2;
+                if (Math.sign(x2 - px) === Math.sign(fx - x2) && Math.sign(y2 - py) === Math.sign(fy - y2)) {
+                    continue; // Collinear
+                }
+                
+                const point = { x: x2 / 2, y: y2 / 2 };
+                points.push(transform === null ? point : transform.transformPoint(point));
+            }
+            contours.push(points);
+        }
+        
+        return contours;
+    }
+    
+    /**
+     * Encode as a Netpbm bitmap (PBM); set bits are written as 1 (black)
+     * @param {boolean} plain - True for plain text P1, false for binary P4 (default)
+     * @returns {Uint8Array} PBM file bytes
+     */
+    toPBM(plain = false) {
+        const header = `${plain ? 'P1' : 'P4'}\n${this._width} ${this._height}\n`;
+        const rowBytes = Math.ceil(this._width / 8);
+        
+        if (!plain) {
+            const output = new Uint8Array(header.length + this._height * rowBytes);
+            BitBuffer._writeASCII(output, 0, header);
+            for (let y = 0; y < this._height; y++) {
+                this._packRow(y, output, header.length + y * rowBytes);
+            }
+            return output;
+        }
+        
+        // Plain PBM lines should not exceed 70 characters
+        const lines = [header.slice(0, -1)];
+        const packed = new Uint8Array(rowBytes);
+        for (let y = 0; y < this._height; y++) {
+            packed.fill(0);
+            this._packRow(y, packed, 0);
+            let row = '';
+            for (let x = 0; x < this._width; x++) {
+                row += (packed[x >> 3] >> (7 - (x & 7))) & 1;
+            }
+            for (let i = 0; i < row.length; i += 70) {
+                lines.push(row.slice(i, i + 70));
+            }
+        }
+        
+        const text = lines.join('\n') + '\n';
+        return BitBuffer._writeASCII(new Uint8Array(text.length), 0, text);
+    }
+    
+    /**
+     * Decode a Netpbm bitmap (PBM, plain P1 or binary P4)
+     * @param {Uint8Array|ArrayBuffer|string} data - PBM file contents
+     * @returns {BitBuffer} Buffer with 1 (black) pixels set
+     */
+    static fromPBM(data) {
+        const bytes = BitBuffer._toBytes(data);
+        let pos = 0;
+        
+        const skipWhitespaceAndComments = () => {
+            while (pos < bytes.length) {
+                if (bytes[pos] === 0x23) { // '#' comment runs to end of line
+                    while (pos < bytes.length && bytes[pos] !== 0x0A && bytes[pos] !== 0x0D) pos++;
+                } else if (BitBuffer._isWhitespace(bytes[pos])) {
+                    pos++;
+                } else {
+                    break;
+                }
+            }
+        };
+        const readInteger = name => {
+            skipWhitespaceAndComments();
+            const start = pos;
+            while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) pos++;
+            const value = start < pos ? parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10) : 0;
+            if (value <= 0) {
+                throw new Error(`Invalid PBM: ${name} must be a positive integer`);
+            }
+            return value;
+        };
+        
+        if (bytes.length < 2 || bytes[0] !== 0x50 || (bytes[1] !== 0x31 && bytes[1] !== 0x34)) {
+            throw new Error('Invalid PBM: expected P1 or P4 magic number');
+        }
+        const plain = bytes[1] === 0x31;
+        pos = 2;
+        
+        const width = readInteger('width');
+        const height = readInteger('height');
+        const result = new BitBuffer(width, height, 0);
+        
+        if (plain) {
+            // One digit per pixel; whitespace between digits is optional
+            const rowBytes = Math.ceil(width / 8);
+            const packed = new Uint8Array(rowBytes);
+            for (let y = 0; y < height; y++) {
+                packed.fill(0);
+                for (let x = 0; x < width; x++) {
+                    skipWhitespaceAndComments();
+                    const digit = bytes[pos++];
+                    if (digit === 0x31) {
+                        packed[x >> 3] |= 0x80 >> (x & 7);
+                    } else if (digit !== 0x30) {
+                        throw new Error(digit === undefined ? 'Invalid PBM: truncated pixel data' : 'Invalid PBM: pixels must be 0 or 1');
+                    }
+                }
+                result._unpackRow(y, packed, 0);
+            }
+            return result;
+        }
+        
+        // A single whitespace character separates the header from the raster
+        if (pos >= bytes.length || !BitBuffer._isWhitespace(bytes[pos])) {
+            throw new Error('Invalid PBM: expected whitespace after header');
+        }
+        pos++;
+        
+        const rowBytes = Math.ceil(width / 8);
+        if (pos + height * rowBytes > bytes.length) {
+            throw new Error('Invalid PBM: truncated pixel data');
+        }
+        for (let y = 0; y < height; y++) {
+            result._unpackRow(y, bytes, pos + y * rowBytes);
+        }
+        return result;
+    }
+    
+    /**
+     * Encode as a 1-bit grayscale PNG; set bits are written as 1 (white)
+     * @returns {Uint8Array} PNG file bytes
+     */
+    toPNG() {
+        const rowBytes = Math.ceil(this._width / 8);
+        const stride = rowBytes + 1; // Filter type byte (0 = none) per row
+        const raw = new Uint8Array(this._height * stride);
+        for (let y = 0; y < this._height; y++) {
+            this._packRow(y, raw, y * stride + 1);
+        }
+        
+        const header = new Uint8Array(13);
+        Deflate._writeUint32(header, 0, this._width);
+        Deflate._writeUint32(header, 4, this._height);
+        header[8] = 1;  // Bit depth
+        header[9] = 0;  // Color type: grayscale
+        header[10] = 0; // Compression: deflate
+        header[11] = 0; // Filter method: adaptive
+        header[12] = 0; // Interlace: none
+        
+        const chunks = [
+            BitBuffer._pngChunk('IHDR', header),
+            BitBuffer._pngChunk('IDAT', Deflate.deflate(raw)),
+            BitBuffer._pngChunk('IEND', new Uint8Array(0))
+        ];
+        
+        const output = new Uint8Array(BitBuffer._PNG_SIGNATURE.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        output.set(BitBuffer._PNG_SIGNATURE, 0);
+        let offset = BitBuffer._PNG_SIGNATURE.length;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+    
+    /**
+     * Decode a 1-bit grayscale PNG (non-interlaced, any row filters)
+     * @param {Uint8Array|ArrayBuffer} data - PNG file contents
+     * @returns {BitBuffer} Buffer with 1 (white) pixels set
+     */
+    static fromPNG(data) {
+        const bytes = BitBuffer._toBytes(data);
+        const signature = BitBuffer._PNG_SIGNATURE;
+        if (bytes.length < signature.length || signature.some((b, i) => bytes[i] !== b)) {
+            throw new Error('Invalid PNG: bad signature');
+        }
+        
+        let header = null;
+        const idat = [];
+        let pos = signature.length;
+        for (;;) {
+            if (pos + 12 > bytes.length) {
+                throw new Error('Invalid PNG: missing IEND chunk');
+            }
+            const length = Deflate._readUint32(bytes, pos);
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            const end = pos + 8 + length;
+            if (end + 4 > bytes.length) {
+                throw new Error(`Invalid PNG: truncated ${type} chunk`);
+            }
+            if (Deflate.crc32(bytes, pos + 4, end) !== Deflate._readUint32(bytes, end)) {
+                throw new Error(`Invalid PNG: CRC mismatch in ${type} chunk`);
+            }
+            const chunk = bytes.subarray(pos + 8, end);
+            pos = end + 4;
+            
+            if (type === 'IHDR') {
+                header = chunk;
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            } else if (type.charCodeAt(0) < 0x61) {
+                // Uppercase first letter marks a chunk needed to display the image
+                throw new Error(`Invalid PNG: unsupported critical chunk ${type}`);
+            }
+        }
+        
+        if (header === null || header.length !== 13) {
+            throw new Error('Invalid PNG: missing IHDR chunk');
+        }
+        const width = Deflate._readUint32(header, 0);
+        const height = Deflate._readUint32(header, 4);
+        if (header[8] !== 1 || header[9] !== 0) {
+            throw new Error('Invalid PNG: only 1-bit grayscale images are supported');
+        }
+        if (header[10] !== 0 || header[11] !== 0 || header[12] !== 0) {
+            throw new Error('Invalid PNG: unsupported compression, filter or interlace method');
+        }
+        
+        const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of idat) {
+            compressed.set(chunk, offset);
+            offset += chunk.length;
+        }
+        
+        const raw = Deflate.inflate(compressed);
+        const rowBytes = Math.ceil(width / 8);
+        const stride = rowBytes + 1;
+        if (raw.length < height * stride) {
+            throw new Error('Invalid PNG: truncated image data');
+        }
+        
+        const result = new BitBuffer(width, height, 0);
+        const previous = new Uint8Array(rowBytes);
+        const current = new Uint8Array(rowBytes);
+        for (let y = 0; y < height; y++) {
+            BitBuffer._unfilterPNGRow(raw[y * stride], raw.subarray(y * stride + 1, (y + 1) * stride), previous, current);
+            result._unpackRow(y, current, 0);
+            previous.set(current);
+        }
+        return result;
+    }
+    
+    /**
+     * Reverse the PNG row filter (1 byte per pixel group at this bit depth)
+     * @private
+     */
+    static _unfilterPNGRow(filter, row, previous, output) {
+        for (let i = 0; i < row.length; i++) {
+            const left = i > 0 ? output[i - 1] : 0;
+            const up = previous[i];
+            const upLeft = i > 0 ? previous[i - 1] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                    predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    break;
+                }
+                default: throw new Error(`Invalid PNG: unknown row filter ${filter}`);
+            }
+            output[i] = (row[i] + predictor) & 0xFF;
+        }
+    }
+    
+    /**
+     * Build a PNG chunk (length, type, data, CRC)
+     * @private
+     */
+    static _pngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        Deflate._writeUint32(chunk, 0, data.length);
+        BitBuffer._writeASCII(chunk, 4, type);
+        chunk.set(data, 8);
+        Deflate._writeUint32(chunk, data.length + 8, Deflate.crc32(chunk, 4, data.length + 8));
+        return chunk;
+    }
+    
+    /**
+     * Encode as base64 PNG, a compact form for embedding test fixtures
+     * @returns {string} Base64 text of toPNG()
+     */
+    toBase64() {
+        return BitBuffer._encodeBase64(this.toPNG());
+    }
+    
+    /**
+     * Decode base64 PNG produced by toBase64()
+     * Whitespace and a leading "data:image/png;base64," are ignored.
+     * @param {string} text - Base64 text
+     * @returns {BitBuffer} Decoded buffer
+     */
+    static fromBase64(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Base64 input must be a string');
+        }
+        
+        return BitBuffer.fromPNG(BitBuffer._decodeBase64(text.replace(/^data:image\/png;base64,/, '')));
+    }
+    
+    /**
+     * Render as ASCII art, one line per row ('#' = set, '.' = clear)
+     * @param {Object} rect - Optional crop {x, y, width, height}, clamped to the buffer
+     * @returns {string} Rows joined by newlines (empty if the crop is empty)
+     */
+    toASCII(rect = null) {
+        const r = rect === null
+            ? this._clampRect(0, 0, this._width, this._height)
+            : this._clampRect(rect.x, rect.y, rect.width, rect.height);
+        if (r === null) {
+            return '';
+        }
+        
+        const { x0, y0, x1, y1 } = r;
+        const lines = [];
+        for (let y = y0; y < y1; y++) {
+            const runs = this._getRowRuns(y);
+            let line = '';
+            let x = x0;
+            for (let i = 0; i < runs.length && x < x1; i += 2) {
+                const start = Math.max(x, Math.min(x1, runs[i]));
+                const end = Math.min(x1, runs[i + 1]);
+                if (end <= x) {
+                    continue;
+                }
+                line += '.'.repeat(start - x) + '#'.repeat(end - start);
+                x = end;
+            }
+            lines.push(line + '.'.repeat(x1 - x));
+        }
+        return lines.join('\n');
+    }
+    
+    /**
+     * OR a row into packed bytes, most significant bit first (PBM and PNG order)
+     * @param {number} y - Row index
+     * @param {Uint8Array} output - Destination bytes (row bytes must start as 0)
+     * @param {number} offset - Byte offset of the row
+     * @private
+     */
+    _packRow(y, output, offset) {
+        const runs = this._getRowRuns(y);
+        for (let i = 0; i < runs.length; i += 2) {
+            let x = runs[i];
+            const end = runs[i + 1];
+            while (x < end) {
+                if ((x & 7) === 0 && x + 8 <= end) {
+                    output[offset + (x >> 3)] = 0xFF;
+                    x += 8;
+                } else {
+                    output[offset + (x >> 3)] |= 0x80 >> (x & 7);
+                    x++;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Set the bits of a row from packed bytes, most significant bit first
+     * The row must be clear; padding bits past the width are ignored.
+     * @param {number} y - Row index
+     * @param {Uint8Array} input - Source bytes
+     * @param {number} offset - Byte offset of the row
+     * @private
+     */
+    _unpackRow(y, input, offset) {
+        const rowStart = y * this._width;
+        let start = -1;
+        let x = 0;
+        while (x < this._width) {
+            const byte = input[offset + (x >> 3)];
+            if ((x & 7) === 0 && (byte === 0 || byte === 0xFF)) {
+                // Whole byte of one value
+                if (byte !== 0 && start < 0) {
+                    start = x;
+                } else if (byte === 0 && start >= 0) {
+                    this._fillBits(rowStart + start, x - start, 1);
+                    start = -1;
+                }
+                x += 8;
+                continue;
+            }
+            
+            const bit = (byte >> (7 - (x & 7))) & 1;
+            if (bit && start < 0) {
+                start = x;
+            } else if (!bit && start >= 0) {
+                this._fillBits(rowStart + start, x - start, 1);
+                start = -1;
+            }
+            x++;
+        }
+        
+        if (start >= 0) {
+            this._fillBits(rowStart + start, this._width - start, 1);
+        }
+    }
+    
+    /**
+     * Normalize binary input to a Uint8Array (strings are read as Latin-1)
+     * @private
+     */
+    static _toBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        
+        if (typeof data === 'string') {
+            const bytes = new Uint8Array(data.length);
+            for (let i = 0; i < data.length; i++) {
+                bytes[i] = data.charCodeAt(i) & 0xFF;
+            }
+            return bytes;
+        }
+        
+        throw new Error('Input must be a Uint8Array, ArrayBuffer or string');
+    }
+    
+    /**
+     * Write an ASCII string into bytes
+     * @returns {Uint8Array} The output array
+     * @private
+     */
+    static _writeASCII(output, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            output[offset + i] = text.charCodeAt(i);
+        }
+        return output;
+    }
+    
+    /**
+     * Check for a PBM whitespace byte (space, tab, CR, LF, VT, FF)
+     * @private
+     */
+    static _isWhitespace(byte) {
+        return byte === 0x20 || (byte >= 0x09 && byte <= 0x0D);
+    }
+    
+    /**
+     * Encode bytes as base64
+     * @private
+     */
+    static _encodeBase64(bytes) {
+        const alphabet = BitBuffer._BASE64_ALPHABET;
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            text += alphabet[n >> 18] + alphabet[(n >> 12) & 63] +
+                (i + 1 < bytes.length ? alphabet[(n >> 6) & 63] : '=') +
+                (i + 2 < bytes.length ? alphabet[n & 63] : '=');
+        }
+        return text;
+    }
+    
+    /**
+     * Decode base64 text, ignoring whitespace
+     * @private
+     */
+    static _decodeBase64(text) {
+        const clean = text.replace(/\s+/g, '').replace(/=+$/, '');
+        if (!/^[A-Za-z0-9+/]*$/.test(clean) || clean.length % 4 === 1) {
+            throw new Error('Invalid base64 text');
+        }
+        
+        const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+        let bits = 0, bitCount = 0, offset = 0;
+        for (let i = 0; i < clean.length; i++) {
+            bits = (bits << 6) | BitBuffer._BASE64_ALPHABET.indexOf(clean[i]);
+            bitCount += 6;
+            if (bitCount >= 8) {
+                bitCount -= 8;
+                bytes[offset++] = (bits >> bitCount) & 0xFF;
+            }
+        }
+        return bytes;
+    }
+    
+    /**
+     * String representation for debugging
+     * @returns {string} BitBuffer description
+     */
+    toString() {
+        const memoryKB = (this.getMemoryUsage() / 1024).toFixed(2);
+        const state = this.isEmpty() ? 'empty' : this.isFull() ? 'full' : 'mixed';
+        return `BitBuffer(${this._width}×${this._height}, ${memoryKB}KB, ${state})`;
+    }
+    
+    /**
+     * Check equality with another BitBuffer
+     * @param {BitBuffer} other - Other BitBuffer to compare
+     * @returns {boolean} True if buffers are identical
+     */
+    equals(other) {
+        if (!(other instanceof BitBuffer)) {
+            return false;
+        }
+        
+        if (other._width !== this._width || other._height !== this._height) {
+            return false;
+        }
+        
+        if (this._rows !== null || other._rows !== null) {
+            for (let y = 0; y < this._height; y++) {
+                const a = this._getRowRuns(y);
+                const b = other._getRowRuns(y);
+                if (a.length !== b.length || a.some((v, i) => v !== b[i])) {
+                    return false;
+                }
+            }
+            return true;
         }
         
         // Compare buffer contents
@@ -280,4 +2047,35 @@ class BitBuffer {
         
         return true;
     }
-}
\ No newline at end of file
+}
+
+// Shared run list for all-0 rows
+BitBuffer._EMPTY_ROW = Object.freeze([]);
+
+// Sparse storage is used while its estimated size is at most this fraction of
+// the packed bits; it switches back to dense once it exceeds the packed size
+BitBuffer.SPARSE_RATIO = 0.5;
+
+// Structuring element shapes accepted by dilate, erode, open and close
+BitBuffer.STRUCTURING_ELEMENTS = Object.freeze(['square', 'disk']);
+
+// Marching-squares cell edges as midpoints in doubled coordinates relative to
+// (2x, 2y): top, right, bottom, left
+BitBuffer._CONTOUR_EDGES = Object.freeze([[2, 1], [3, 2], [2, 3], [1, 2]]);
+
+// Directed segments (pairs of edge indices) per cell case, indexed by
+// top-left << 3 | top-right << 2 | bottom-right << 1 | bottom-left; set pixels
+// stay on the right of each segment, and saddles join diagonal set pixels
+BitBuffer._CONTOUR_CASES = Object.freeze([
+    [], [3, 2], [2, 1], [3, 1], [1, 0], [3, 0, 1, 2], [2, 0], [3, 0],
+    [0, 3], [0, 2], [0, 1, 2, 3], [0, 1], [1, 3], [1, 2], [2, 3], []
+].map(Object.freeze));
+
+// Saddle cases for 4-connectivity, which keep diagonal set pixels apart
+BitBuffer._CONTOUR_SADDLES = Object.freeze({ 5: Object.freeze([1, 0, 3, 2]), 10: Object.freeze([0, 3, 2, 1]) });
+
+// PNG file signature
+BitBuffer._PNG_SIGNATURE = Object.freeze([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Standard base64 alphabet (RFC 4648)
+BitBuffer._BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * CanvasStateStack class for SWCanvas
+ *
+ * Tracks the drawing state of a canvas 2D context and implements
+ * save()/restore() and the transform methods with canvas semantics:
+ * - restore() on an empty stack does nothing
+ * - Transform methods with non-finite arguments are ignored
+ * - globalAlpha outside 0-1 or non-finite is ignored
+ * - fillStyle/strokeStyle strings that fail to parse are ignored
+ *
+ * Clip masks are shared copy-on-write between stack levels: save() only
+ * copies the reference, and a mask is cloned the first time a level clips
+ * while an outer level still refers to it. An unclipped state holds no mask.
+ * Clips may be 1-bit ClipMasks or anti-aliased CoverageClipMasks; once a
+ * coverage clip is applied the current clip becomes a CoverageClipMask.
+ */
+class CanvasStateStack {
+    /**
+     * Create a CanvasStateStack
+     * @param {number} width - Surface width in pixels
+     * @param {number} height - Surface height in pixels
+     * @param {ColorParser} parser - ColorParser used for fill/stroke style strings
+     */
+    constructor(width, height, parser = new ColorParser()) {
+        if (typeof width !== 'number' || !Number.isInteger(width) || width <= 0) {
+            throw new Error('CanvasStateStack width must be a positive integer');
+        }
+
+        if (typeof height !== 'number' || !Number.isInteger(height) || height <= 0) {
+            throw new Error('CanvasStateStack height must be a positive integer');
+        }
+
+        Object.defineProperty(this, 'width', { value: width, writable: false });
+        Object.defineProperty(this, 'height', { value: height, writable: false });
+
+        this._parser = parser;
+        this._stack = [];
+        this._state = {
+            transform: new Transform2D(),
+            clipMask: null,       // null = no clipping
+            clipOwned: true,      // False while a saved level shares clipMask
+            globalAlpha: 1,
+            fillStyle: Color.black,
+            strokeStyle: Color.black
+        };
+    }
+
+    /**
+     * Push a copy of the current state
+     */
+    save() {
+        this._stack.push(Object.assign({}, this._state));
+        // The saved copy keeps ownership: every level above it is popped before it returns
+        this._state.clipOwned = false;
+    }
+
+    /**
+     * Pop the most recently saved state (no-op if none was saved)
+     */
+    restore() {
+        if (this._stack.length > 0) {
+            this._state = this._stack.pop();
+        }
+    }
+
+    /**
+     * Get the number of saved states
+     * @returns {number} Stack depth
+     */
+    get depth() {
+        return this._stack.length;
+    }
+
+    /**
+     * Get the current transform (canvas getTransform())
+     * @returns {Transform2D} Current user-to-device transform
+     */
+    getTransform() {
+        return this._state.transform;
+    }
+
+    /**
+     * Replace the current transform
+     * Accepts a Transform2D or the six canvas matrix components a-f.
+     * @param {Transform2D|number} a - Transform2D, or horizontal scale component
+     * @param {...number} rest - Remaining components b, c, d, e, f
+     */
+    setTransform(a, ...rest) {
+        if (a instanceof Transform2D) {
+            this._state.transform = a;
+            return;
+        }
+
+        const values = [a, ...rest];
+        if (CanvasStateStack._allFinite(values, 6)) {
+            this._state.transform = new Transform2D(values);
+        }
+    }
+
+    /**
+     * Reset the current transform to identity
+     */
+    resetTransform() {
+        this._state.transform = new Transform2D();
+    }
+
+    /**
+     * Multiply the current transform by a matrix (canvas transform())
+     * @param {number} a - Horizontal scale component
+     * @param {number} b - Vertical skew component
+     * @param {number} c - Horizontal skew component
+     * @param {number} d - Vertical scale component
+     * @param {number} e - Horizontal translation
+     * @param {number} f - Vertical translation
+     */
+    transform(a, b, c, d, e, f) {
+        const values = [a, b, c, d, e, f];
+        if (CanvasStateStack._allFinite(values, 6)) {
+            this._state.transform = this._state.transform.multiply(new Transform2D(values));
+        }
+    }
+
+    /**
+     * Apply a translation to the current transform
+     * @param {number} x - X translation
+     * @param {number} y - Y translation
+     */
+    translate(x, y) {
+        if (CanvasStateStack._allFinite([x, y], 2)) {
+            this._state.transform = this._state.transform.translate(x, y);
+        }
+    }
+
+    /**
+     * Apply a rotation to the current transform
+     * @param {number} angleInRadians - Rotation angle in radians
+     */
+    rotate(angleInRadians) {
+        if (CanvasStateStack._allFinite([angleInRadians], 1)) {
+            this._state.transform = this._state.transform.rotate(angleInRadians);
+        }
+    }
+
+    /**
+     * Apply a scale to the current transform
+     * @param {number} sx - X scale factor
+     * @param {number} sy - Y scale factor
+     */
+    scale(sx, sy) {
+        if (CanvasStateStack._allFinite([sx, sy], 2)) {
+            this._state.transform = this._state.transform.scale(sx, sy);
+        }
+    }
+
+    /**
+     * Check that canvas method arguments are present and finite
+     * @private
+     */
+    static _allFinite(values, count) {
+        return values.length >= count &&
+               values.slice(0, count).every(v => typeof v === 'number' && isFinite(v));
+    }
+
+    /**
+     * Get the current clip mask
+     * The mask may be shared with saved states and must not be modified.
+     * @returns {ClipMask|CoverageClipMask|null} Current clip, or null if nothing is clipped
+     */
+    get clipMask() {
+        return this._state.clipMask;
+    }
+
+    /**
+     * Intersect the current clip with a mask (canvas clip())
+     * @param {ClipMask|CoverageClipMask} mask - Rasterized clip region in device space
+     */
+    clip(mask) {
+        if (!(mask instanceof ClipMask) && !(mask instanceof CoverageClipMask)) {
+            throw new Error('Clip must be a ClipMask or CoverageClipMask instance');
+        }
+
+        if (mask.width !== this.width || mask.height !== this.height) {
+            throw new Error('Clip mask dimensions must match the surface');
+        }
+
+        const state = this._state;
+        if (state.clipMask === null) {
+            state.clipMask = mask.clone();
+        } else if (state.clipMask instanceof ClipMask && mask instanceof CoverageClipMask) {
+            // Promotion always produces a fresh, owned mask
+            state.clipMask = CoverageClipMask.fromClipMask(state.clipMask);
+            state.clipMask.intersectWith(mask);
+        } else {
+            if (!state.clipOwned) {
+                state.clipMask = state.clipMask.clone();
+            }
+            state.clipMask.intersectWith(mask);
+        }
+        state.clipOwned = true;
+    }
+
+    /**
+     * Get the global alpha
+     * @returns {number} Global alpha (0-1)
+     */
+    get globalAlpha() {
+        return this._state.globalAlpha;
+    }
+
+    /**
+     * Set the global alpha (values outside 0-1 are ignored)
+     * @param {number} value - Global alpha
+     */
+    set globalAlpha(value) {
+        if (typeof value === 'number' && value >= 0 && value <= 1) {
+            this._state.globalAlpha = value;
+        }
+    }
+
+    /**
+     * Get the fill color
+     * @returns {Color} Current fill color
+     */
+    get fillStyle() {
+        return this._state.fillStyle;
+    }
+
+    /**
+     * Set the fill color
+     * @param {Color|string} value - Color or CSS color string (ignored if malformed)
+     */
+    set fillStyle(value) {
+        const color = this._toColor(value);
+        if (color !== null) {
+            this._state.fillStyle = color;
+        }
+    }
+
+    /**
+     * Get the stroke color
+     * @returns {Color} Current stroke color
+     */
+    get strokeStyle() {
+        return this._state.strokeStyle;
+    }
+
+    /**
+     * Set the stroke color
+     * @param {Color|string} value - Color or CSS color string (ignored if malformed)
+     */
+    set strokeStyle(value) {
+        const color = this._toColor(value);
+        if (color !== null) {
+            this._state.strokeStyle = color;
+        }
+    }
+
+    /**
+     * Convert a style value to a Color
+     * @private
+     */
+    _toColor(value) {
+        if (value instanceof Color) {
+            return value;
+        }
+        return typeof value === 'string' ? Color.tryFromCSS(value, this._parser) : null;
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} CanvasStateStack description
+     */
+    toString() {
+        const clip = this._state.clipMask === null ? 'no clip' : this._state.clipMask.toString();
+        return `CanvasStateStack(depth ${this.depth}, ${this._state.transform.toString()}, alpha ${this._state.globalAlpha}, ${clip})`;
+    }
+}
\ No newline at end of file
@@ -9,6 +9,21 @@
  * - Each pixel is represented by 1 bit (1 = visible, 0 = clipped)
  * - Bits are packed into Uint8Array (8 pixels per byte)
  * - Memory usage: width × height ÷ 8 bytes (87.5% reduction vs full coverage)
+ * - Large masks with simple shapes are stored as per-row runs instead
+ *   (see BitBuffer), so clones of a rectangular clip stay cheap
+ *
+ * Visible-pixel tracking:
+ * - The bounding rectangle of visible pixels is kept up to date through
+ *   setPixel, clear and clipAll, and recomputed lazily after bulk operations
+ * - Visible spans are cached per row and invalidated row by row
+ * - Writes through the raw buffer bypass tracking; call invalidateBounds()
+ * - Reading the raw buffer pins the mask to dense storage; read-only
+ *   consumers should iterate getRowSpans() instead
+ *
+ * Import and export:
+ * - PBM (P1/P4, visible = 1), 1-bit PNG (visible = white), base64 PNG and
+ *   ASCII art, for inspecting masks and for clipping regression tests:
+ *   decode a golden mask with fromPNG()/fromBase64() and compare with equals()
  */
 class ClipMask {
     /**
@@ -24,15 +39,44 @@ class ClipMask {
         // Make dimensions immutable
         Object.defineProperty(this, 'width', { value: width, writable: false });
         Object.defineProperty(this, 'height', { value: height, writable: false });
+        
+        // Visible-pixel tracking (everything is visible initially)
+        this._visibleBounds = { x: 0, y: 0, width, height };
+        this._boundsStale = false;
+        this._rowSpans = new Array(height).fill(null);
     }
 
     /**
      * Direct buffer access for hot-loop optimizations (dual-access pattern).
      * Use this for performance-critical code that needs direct bitwise operations.
+     * Side effect: converts sparse storage to dense and pins the mask to dense
+     * storage for the rest of its life, so the array is not detached later.
+     * Re-read .buffer after every mutating call rather than caching it, and
+     * call invalidateBounds() after writing through it.
+     * Read-only consumers should use peekBuffer(), or getRowSpans() and
+     * spans(), which work on either storage without densifying.
      * @returns {Uint8Array} The raw bit buffer
      */
     get buffer() {
-        return this._bitBuffer._buffer;
+        return this._bitBuffer._getBuffer();
+    }
+    
+    /**
+     * Read-only buffer access without side effects
+     * Storage is neither converted nor pinned, so the array is only valid
+     * until the next mutating call; do not write through it.
+     * @returns {Uint8Array|null} The raw bit buffer, or null while sparse
+     */
+    peekBuffer() {
+        return this._bitBuffer._peekBuffer();
+    }
+    
+    /**
+     * Check whether the mask currently uses sparse run storage
+     * @returns {boolean} True if sparse
+     */
+    get isSparse() {
+        return this._bitBuffer.isSparse;
     }
 
     /**
@@ -52,7 +96,78 @@ class ClipMask {
      * @param {boolean} visible - True if pixel should be visible
      */
     setPixel(x, y, visible) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return; // Ignore out of bounds
+        }
+        
+        visible = Boolean(visible);
+        if (this._bitBuffer.getPixel(x, y) === visible) {
+            return;
+        }
+        
         this._bitBuffer.setPixel(x, y, visible);
+        this._rowSpans[y] = null;
+        this._trackChange(x, y, x + 1, y + 1, visible);
+    }
+    
+    /**
+     * Set clip state for a horizontal run of pixels
+     * The run is clamped to the mask; rows outside it are ignored.
+     * @param {number} y - Row index
+     * @param {number} x0 - First column (inclusive)
+     * @param {number} x1 - Last column (exclusive)
+     * @param {boolean} visible - True if the pixels should be visible
+     */
+    setSpan(y, x0, x1, visible) {
+        if (y < 0 || y >= this.height) {
+            return;
+        }
+        
+        x0 = Math.max(0, x0);
+        x1 = Math.min(this.width, x1);
+        if (x0 >= x1) {
+            return;
+        }
+        
+        this._bitBuffer._fillBits(y * this.width + x0, x1 - x0, visible ? 1 : 0);
+        this._rowSpans[y] = null;
+        this._trackChange(x0, y, x1, y + 1, Boolean(visible));
+    }
+    
+    /**
+     * Update the tracked visible bounds after a rectangle changed state
+     * @private
+     */
+    _trackChange(x0, y0, x1, y1, visible) {
+        if (this._boundsStale) {
+            return;
+        }
+        
+        const b = this._visibleBounds;
+        if (visible) {
+            if (b === null) {
+                this._visibleBounds = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+            } else {
+                const left = Math.min(b.x, x0);
+                const top = Math.min(b.y, y0);
+                const right = Math.max(b.x + b.width, x1);
+                const bottom = Math.max(b.y + b.height, y1);
+                this._visibleBounds = { x: left, y: top, width: right - left, height: bottom - top };
+            }
+            return;
+        }
+        
+        if (b === null) {
+            return;
+        }
+        
+        const right = b.x + b.width;
+        const bottom = b.y + b.height;
+        const overlaps = x0 < right && x1 > b.x && y0 < bottom && y1 > b.y;
+        if (overlaps && (x0 <= b.x || x1 >= right || y0 <= b.y || y1 >= bottom)) {
+            // Clearing pixels on an edge may shrink the bounds
+            this._boundsStale = true;
+        }
     }
     
     /**
@@ -70,6 +185,7 @@ class ClipMask {
      */
     clear() {
         this._bitBuffer.fill(); // Fill with 1s (visible)
+        this._setTracking({ x: 0, y: 0, width: this.width, height: this.height });
     }
     
     /**
@@ -77,19 +193,180 @@ class ClipMask {
      */
     clipAll() {
         this._bitBuffer.clear(); // Clear to 0s (clipped)
+        this._setTracking(null);
     }
     
     /**
      * Intersect this clip mask with another (AND operation)
-     * Only pixels visible in BOTH masks will remain visible
+     * Only pixels visible in BOTH masks will remain visible. A smaller mask,
+     * or one placed at an offset, clips everything outside its rectangle.
      * @param {ClipMask} other - Other clip mask to intersect with
+     * @param {number} x - X offset of other within this mask (default 0)
+     * @param {number} y - Y offset of other within this mask (default 0)
      */
-    intersectWith(other) {
+    intersectWith(other, x = 0, y = 0) {
+        this._bitBuffer.and(ClipMask._toBitBuffer(other), x, y);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Union this clip mask with another (OR operation)
+     * Pixels visible in EITHER mask become visible.
+     * @param {ClipMask} other - Other clip mask to union with
+     * @param {number} x - X offset of other within this mask (default 0)
+     * @param {number} y - Y offset of other within this mask (default 0)
+     */
+    unionWith(other, x = 0, y = 0) {
+        this._bitBuffer.or(ClipMask._toBitBuffer(other), x, y);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Subtract another clip mask (AND NOT operation)
+     * Pixels visible in the other mask become clipped.
+     * @param {ClipMask} other - Clip mask to subtract
+     * @param {number} x - X offset of other within this mask (default 0)
+     * @param {number} y - Y offset of other within this mask (default 0)
+     */
+    subtract(other, x = 0, y = 0) {
+        this._bitBuffer.andNot(ClipMask._toBitBuffer(other), x, y);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Exclusive-or this clip mask with another (XOR operation)
+     * Pixels visible in exactly one of the masks become visible.
+     * @param {ClipMask} other - Other clip mask to XOR with
+     * @param {number} x - X offset of other within this mask (default 0)
+     * @param {number} y - Y offset of other within this mask (default 0)
+     */
+    xorWith(other, x = 0, y = 0) {
+        this._bitBuffer.xor(ClipMask._toBitBuffer(other), x, y);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Invert the clip mask (visible pixels become clipped and vice versa)
+     */
+    invert() {
+        this._bitBuffer.invert();
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Get the bounding rectangle of the visible pixels
+     * @returns {Object|null} Bounds {x, y, width, height}, or null if everything is clipped
+     */
+    getVisibleBounds() {
+        if (this._boundsStale) {
+            let x0 = this.width, y0 = this.height, x1 = 0, y1 = 0;
+            for (let y = 0; y < this.height; y++) {
+                const spans = this.getRowSpans(y);
+                if (spans.length > 0) {
+                    x0 = Math.min(x0, spans[0].x0);
+                    x1 = Math.max(x1, spans[spans.length - 1].x1);
+                    y0 = Math.min(y0, y);
+                    y1 = y + 1;
+                }
+            }
+            this._visibleBounds = x0 < x1 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null;
+            this._boundsStale = false;
+        }
+        
+        const b = this._visibleBounds;
+        return b === null ? null : { x: b.x, y: b.y, width: b.width, height: b.height };
+    }
+    
+    /**
+     * Get the visible runs of a row
+     * @param {number} y - Row index
+     * @returns {Object[]} Frozen array of {x0, x1} runs (x1 exclusive), left to right
+     */
+    getRowSpans(y) {
+        if (y < 0 || y >= this.height) {
+            return ClipMask._noSpans;
+        }
+        
+        let spans = this._rowSpans[y];
+        if (spans === null) {
+            const runs = this._bitBuffer._getRowRuns(y);
+            spans = [];
+            for (let i = 0; i < runs.length; i += 2) {
+                spans.push(Object.freeze({ x0: runs[i], x1: runs[i + 1] }));
+            }
+            spans = Object.freeze(spans);
+            this._rowSpans[y] = spans;
+        }
+        return spans;
+    }
+    
+    /**
+     * Iterate over the visible spans, top to bottom and left to right
+     * Rows outside the visible bounds are skipped without scanning.
+     * @yields {Object} Span {y, x0, x1} with x1 exclusive
+     */
+    *spans() {
+        const bounds = this.getVisibleBounds();
+        if (bounds === null) {
+            return;
+        }
+        
+        for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+            for (const span of this.getRowSpans(y)) {
+                yield { y, x0: span.x0, x1: span.x1 };
+            }
+        }
+    }
+    
+    /**
+     * Check if the visible pixels form exactly one axis-aligned rectangle
+     * When true, getVisibleBounds() describes the clip completely and
+     * rectangle fast paths can be used. A fully clipped mask is not rectangular.
+     * @returns {boolean} True if the visible region is a single rectangle
+     */
+    isRectangular() {
+        const bounds = this.getVisibleBounds();
+        if (bounds === null) {
+            return false;
+        }
+        
+        for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+            const spans = this.getRowSpans(y);
+            if (spans.length !== 1 || spans[0].x0 !== bounds.x || spans[0].x1 !== bounds.x + bounds.width) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Discard tracked bounds and spans after the raw buffer was modified
+     */
+    invalidateBounds() {
+        this._boundsStale = true;
+        this._rowSpans.fill(null);
+    }
+    
+    /**
+     * Reset tracking to known bounds
+     * @private
+     */
+    _setTracking(bounds) {
+        this._visibleBounds = bounds;
+        this._boundsStale = false;
+        this._rowSpans.fill(null);
+    }
+    
+    /**
+     * Validate a ClipMask argument and unwrap its BitBuffer
+     * @private
+     */
+    static _toBitBuffer(other) {
         if (!(other instanceof ClipMask)) {
             throw new Error('Argument must be a ClipMask instance');
         }
         
-        this._bitBuffer.and(other._bitBuffer);
+        return other._bitBuffer;
     }
     
     /**
@@ -99,6 +376,9 @@ class ClipMask {
     clone() {
         const clone = new ClipMask(this.width, this.height);
         clone._bitBuffer.copyFrom(this._bitBuffer);
+        clone._visibleBounds = this._visibleBounds;
+        clone._boundsStale = this._boundsStale;
+        clone._rowSpans = this._rowSpans.slice(); // Cached spans are frozen and safe to share
         return clone;
     }
     
@@ -133,6 +413,137 @@ class ClipMask {
         return !this._bitBuffer.isFull();
     }
     
+    /**
+     * Grow the visible region (morphological dilation)
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    dilate(radius, shape = 'square') {
+        this._bitBuffer.dilate(radius, shape);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Shrink the visible region (morphological erosion); the mask edge does not erode
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    erode(radius, shape = 'square') {
+        this._bitBuffer.erode(radius, shape);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Remove visible specks and thin parts (erode, then dilate)
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    open(radius, shape = 'square') {
+        this._bitBuffer.open(radius, shape);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Fill small clipped holes and gaps (dilate, then erode)
+     * @param {number} radius - Element radius in pixels
+     * @param {string} shape - 'square' (default) or 'disk'
+     */
+    close(radius, shape = 'square') {
+        this._bitBuffer.close(radius, shape);
+        this.invalidateBounds();
+    }
+    
+    /**
+     * Label the separate islands of visible pixels
+     * @param {number} connectivity - 4 (default) or 8
+     * @returns {Object} {count, labels, components} as for BitBuffer.labelComponents
+     */
+    labelComponents(connectivity = 4) {
+        return this._bitBuffer.labelComponents(connectivity);
+    }
+    
+    /**
+     * Trace the visible region as polygons, e.g. to edit a clip as a path
+     * @param {Transform2D} transform - Optional transform applied to the vertices
+     * @param {number} connectivity - 8 (default) or 4
+     * @returns {Object[][]} Closed polygons as arrays of points {x, y}
+     */
+    traceContours(transform = null, connectivity = 8) {
+        return this._bitBuffer.traceContours(transform, connectivity);
+    }
+    
+    /**
+     * Encode as a Netpbm bitmap (visible pixels are 1)
+     * @param {boolean} plain - True for plain text P1, false for binary P4 (default)
+     * @returns {Uint8Array} PBM file bytes
+     */
+    toPBM(plain = false) {
+        return this._bitBuffer.toPBM(plain);
+    }
+    
+    /**
+     * Decode a ClipMask from a Netpbm bitmap (1 = visible)
+     * @param {Uint8Array|ArrayBuffer|string} data - PBM file contents
+     * @returns {ClipMask} Decoded mask
+     */
+    static fromPBM(data) {
+        return ClipMask._fromBitBuffer(BitBuffer.fromPBM(data));
+    }
+    
+    /**
+     * Encode as a 1-bit grayscale PNG (visible pixels are white)
+     * @returns {Uint8Array} PNG file bytes
+     */
+    toPNG() {
+        return this._bitBuffer.toPNG();
+    }
+    
+    /**
+     * Decode a ClipMask from a 1-bit grayscale PNG (white = visible)
+     * @param {Uint8Array|ArrayBuffer} data - PNG file contents
+     * @returns {ClipMask} Decoded mask
+     */
+    static fromPNG(data) {
+        return ClipMask._fromBitBuffer(BitBuffer.fromPNG(data));
+    }
+    
+    /**
+     * Encode as base64 PNG for embedding in test fixtures
+     * @returns {string} Base64 text
+     */
+    toBase64() {
+        return this._bitBuffer.toBase64();
+    }
+    
+    /**
+     * Decode a ClipMask from base64 PNG produced by toBase64()
+     * @param {string} text - Base64 text, optionally a data: URL
+     * @returns {ClipMask} Decoded mask
+     */
+    static fromBase64(text) {
+        return ClipMask._fromBitBuffer(BitBuffer.fromBase64(text));
+    }
+    
+    /**
+     * Render as ASCII art ('#' = visible, '.' = clipped)
+     * @param {Object} rect - Optional crop {x, y, width, height}
+     * @returns {string} Rows joined by newlines
+     */
+    toASCII(rect = null) {
+        return this._bitBuffer.toASCII(rect);
+    }
+    
+    /**
+     * Wrap a decoded BitBuffer in a ClipMask
+     * @private
+     */
+    static _fromBitBuffer(bitBuffer) {
+        const mask = new ClipMask(bitBuffer._width, bitBuffer._height);
+        mask._bitBuffer = bitBuffer;
+        mask.invalidateBounds();
+        return mask;
+    }
+    
     /**
      * String representation for debugging
      * @returns {string} ClipMask description
@@ -155,4 +566,7 @@ class ClipMask {
         
         return this._bitBuffer.equals(other._bitBuffer);
     }
-}
\ No newline at end of file
+}
+
+// Shared empty span list for rows outside the mask
+ClipMask._noSpans = Object.freeze([]);
\ No newline at end of file
@@ -5,7 +5,10 @@
  * Follows Joshua Bloch's principle of making classes immutable where practical.
  * 
  * Internally uses premultiplied sRGB for consistency with HTML5 Canvas behavior.
- * Provides methods for converting between premultiplied and non-premultiplied forms.
+ * Provides methods for converting between premultiplied and non-premultiplied forms,
+ * CSS serialization (see toCSS), compositing, and immutable manipulation helpers
+ * (mix, lighten, contrast...) that delegate color space math to ColorSpaces and
+ * FloatColor.
  */
 class Color {
     /**
@@ -129,9 +132,12 @@ class Color {
     /**
      * Blend this color over another color using source-over composition
      * @param {Color} background - Background color to blend over
+     * @param {Object} options - Blending options
+     * @param {boolean} options.linear - Blend in linear-light sRGB (via FloatColor)
+     *                                   instead of gamma-encoded sRGB
      * @returns {Color} New Color representing the blended result
      */
-    blendOver(background) {
+    blendOver(background, options = {}) {
         if (this._a === 255) {
             // Source is opaque - return source
             return this;
@@ -142,6 +148,12 @@ class Color {
             return background;
         }
 
+        if (options.linear) {
+            const src = FloatColor.fromColor(this);
+            const dst = FloatColor.fromColor(background);
+            return src.blendOver(dst, 'srgb-linear').toColor('srgb');
+        }
+
         // Standard premultiplied alpha blending
         const srcAlpha = this.normalizedAlpha;
         const invSrcAlpha = 1 - srcAlpha;
@@ -154,6 +166,220 @@ class Color {
         return new Color(newR, newG, newB, newA, true);
     }
 
+    /**
+     * Composite this color (source) onto a background (destination)
+     *
+     * Supports every canvas globalCompositeOperation: the Porter-Duff operators
+     * (source-over/in/out/atop, destination-over/in/out/atop, lighter, copy, xor)
+     * and the separable and non-separable blend modes, which composite with
+     * source-over as the canvas spec requires. Works in premultiplied form and
+     * rounds like blendOver, to which 'source-over' delegates.
+     *
+     * @param {Color} background - Destination color
+     * @param {string} operation - globalCompositeOperation name
+     * @returns {Color} New Color representing the composited result
+     */
+    composite(background, operation = 'source-over') {
+        if (operation === 'source-over') {
+            return this.blendOver(background);
+        }
+
+        const srcAlpha = this.normalizedAlpha;
+        const dstAlpha = background.normalizedAlpha;
+
+        const factors = Color._porterDuffFactors[operation];
+        if (factors) {
+            const [fa, fb] = factors(srcAlpha, dstAlpha);
+
+            // Fast paths: result is exactly one of the inputs, or nothing
+            if (fa === 1 && fb === 0) return this;
+            if (fa === 0 && fb === 1) return background;
+            if (fa === 0 && fb === 0) return Color.transparent;
+
+            const mix = (s, d) => Math.min(255, Math.round(s * fa + d * fb));
+            return new Color(
+                mix(this._r, background._r),
+                mix(this._g, background._g),
+                mix(this._b, background._b),
+                mix(this._a, background._a),
+                true
+            );
+        }
+
+        const separable = Color._separableBlendModes[operation];
+        const nonSeparable = Color._nonSeparableBlendModes[operation];
+        if (!separable && !nonSeparable) {
+            throw new Error(`Unknown composite operation: ${operation}`);
+        }
+
+        // Fast paths shared with blendOver
+        if (this._a === 0) return background;
+        if (background._a === 0) return this;
+
+        // Blend functions operate on non-premultiplied 0-1 values
+        const src = [this._r / this._a, this._g / this._a, this._b / this._a];
+        const dst = [background._r / background._a, background._g / background._a, background._b / background._a];
+        const blended = separable ?
+            [separable(dst[0], src[0]), separable(dst[1], src[1]), separable(dst[2], src[2])] :
+            nonSeparable(dst, src);
+
+        // co = cs × (1 - αb) + cb × (1 - αs) + αs × αb × B(Cb, Cs)
+        const both = srcAlpha * dstAlpha * 255;
+        const channel = (s, d, b) => Math.max(0, Math.min(255,
+            Math.round(s * (1 - dstAlpha) + d * (1 - srcAlpha) + both * b)));
+
+        return new Color(
+            channel(this._r, background._r, blended[0]),
+            channel(this._g, background._g, blended[1]),
+            channel(this._b, background._b, blended[2]),
+            Math.round(this._a + background._a * (1 - srcAlpha)),
+            true
+        );
+    }
+
+    /**
+     * Interpolate between this color and another (immutable)
+     * Uses premultiplied alpha interpolation, matching canvas gradients.
+     * See FloatColor.mix for the interpolation rules.
+     * @param {Color} other - Color to interpolate towards
+     * @param {number} t - Interpolation amount (0 = this, 1 = other)
+     * @param {string} space - 'srgb', 'linear' (or 'srgb-linear'), 'oklab' or 'oklch'
+     * @param {string} hueMethod - Hue interpolation for 'oklch': 'shorter', 'longer',
+     *                             'increasing' or 'decreasing'
+     * @returns {Color} New interpolated Color
+     */
+    mix(other, t = 0.5, space = 'srgb', hueMethod = 'shorter') {
+        if (!(other instanceof Color)) {
+            throw new Error('Argument must be a Color instance');
+        }
+
+        if (t < 0 || t > 1) {
+            throw new Error('Mix amount must be in range 0-1');
+        }
+
+        const mixSpace = space === 'linear' ? 'srgb-linear' : space;
+        const mixed = FloatColor.fromColor(this).mix(FloatColor.fromColor(other), t, mixSpace, hueMethod);
+        return mixed.toColor('srgb');
+    }
+
+    /**
+     * Increase perceptual lightness (OKLCH L) by an absolute amount (immutable)
+     * @param {number} amount - Lightness to add (0-1)
+     * @returns {Color} New lighter Color
+     */
+    lighten(amount) {
+        return this._adjustOklch(lch => [lch[0] + amount, lch[1], lch[2]]);
+    }
+
+    /**
+     * Decrease perceptual lightness (OKLCH L) by an absolute amount (immutable)
+     * @param {number} amount - Lightness to remove (0-1)
+     * @returns {Color} New darker Color
+     */
+    darken(amount) {
+        return this.lighten(-amount);
+    }
+
+    /**
+     * Scale perceptual chroma (OKLCH C) up by a relative amount (immutable)
+     * @param {number} amount - Relative increase, e.g. 0.2 for +20%
+     * @returns {Color} New more saturated Color (gamut mapped into sRGB)
+     */
+    saturate(amount) {
+        return this._adjustOklch(lch => [lch[0], lch[1] * (1 + amount), lch[2]]);
+    }
+
+    /**
+     * Scale perceptual chroma (OKLCH C) down by a relative amount (immutable)
+     * @param {number} amount - Relative decrease (0-1), 1 yields gray
+     * @returns {Color} New less saturated Color
+     */
+    desaturate(amount) {
+        return this.saturate(-amount);
+    }
+
+    /**
+     * Apply an adjustment in OKLCH and map the result back into sRGB
+     * @param {Function} adjust - [L, C, H] => [L, C, H]
+     * @returns {Color} New Color with the same alpha
+     * @private
+     */
+    _adjustOklch(adjust) {
+        const oklch = FloatColor.fromColor(this).to('oklch');
+        const [l, c, h] = adjust(oklch.components);
+        const adjusted = new FloatColor(
+            Math.max(0, Math.min(1, l)), Math.max(0, c), isNaN(h) ? 0 : h, oklch.alpha, 'oklch');
+        return adjusted.toColor('srgb');
+    }
+
+    /**
+     * Invert the RGB channels, keeping alpha (immutable)
+     * @returns {Color} New inverted Color
+     */
+    invert() {
+        return new Color(255 - this.r, 255 - this.g, 255 - this.b, this.a, false);
+    }
+
+    /**
+     * Get WCAG 2.x relative luminance of the (non-premultiplied) color
+     * Alpha is ignored; composite translucent colors over their background first.
+     * @returns {number} Relative luminance (0-1)
+     */
+    get relativeLuminance() {
+        const [r, g, b] = ColorSpaces.srgbToLinear([this.r / 255, this.g / 255, this.b / 255]);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Get the WCAG 2.x contrast ratio between this color and a background
+     * A translucent foreground is composited over the background first.
+     * @param {Color} background - Opaque background color
+     * @returns {number} Contrast ratio (1-21)
+     */
+    contrastRatio(background) {
+        const foreground = this.isOpaque ? this : this.blendOver(background);
+        const l1 = foreground.relativeLuminance;
+        const l2 = background.relativeLuminance;
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    /**
+     * Get the APCA (0.0.98G-4g) lightness contrast of this text color on a background
+     * A translucent foreground is composited over the background first.
+     * @param {Color} background - Opaque background color
+     * @returns {number} Lc value, positive for dark text on light backgrounds,
+     *                   negative for light text on dark backgrounds
+     */
+    apcaContrast(background) {
+        const foreground = this.isOpaque ? this : this.blendOver(background);
+        const screenLuminance = color => {
+            const y = 0.2126729 * Math.pow(color.r / 255, 2.4) +
+                0.7151522 * Math.pow(color.g / 255, 2.4) +
+                0.0721750 * Math.pow(color.b / 255, 2.4);
+            // Soft clamp near black
+            return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+        };
+
+        const textY = screenLuminance(foreground);
+        const backgroundY = screenLuminance(background);
+
+        if (Math.abs(backgroundY - textY) < 0.0005) {
+            return 0;
+        }
+
+        let contrast;
+        if (backgroundY > textY) {
+            // Dark text on light background
+            const sapc = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+            contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+        } else {
+            // Light text on dark background
+            const sapc = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+            contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+        }
+        return contrast * 100;
+    }
+
     /**
      * Convert color for BMP output (non-premultiplied RGB)
      * @returns {Object} {r, g, b} object for BMP encoding
@@ -167,12 +393,64 @@ class Color {
     }
 
     /**
-     * Convert to CSS rgba() string
-     * @returns {string} CSS rgba() format string
+     * Convert to a CSS color string
+     *
+     * Supported formats:
+     * - 'rgba' (default): `rgba(r, g, b, a)` with up to 3 alpha decimals
+     * - 'canvas': what the HTML5 canvas fillStyle/strokeStyle getter returns,
+     *   `#rrggbb` when opaque, otherwise `rgba(r, g, b, a)` with the shortest
+     *   alpha that maps back to the same 8-bit value. Round-trips exactly
+     *   through ColorParser.parse.
+     * - 'hex': `#rrggbb` (alpha is dropped)
+     * - 'hex8': `#rrggbbaa`
+     * - 'hsl': `hsl(h s% l%)`, with ` / a` appended when translucent
+     * - 'modern': space-separated `rgb(r g b)`, with ` / a` appended when translucent
+     *
+     * @param {string} format - Output format
+     * @returns {string} CSS color string
      */
-    toCSS() {
-        const alpha = (this.a / 255).toFixed(3).replace(/\.?0+$/, '');
-        return `rgba(${this.r}, ${this.g}, ${this.b}, ${alpha})`;
+    toCSS(format = 'rgba') {
+        switch (format) {
+            case 'rgba': {
+                const alpha = (this.a / 255).toFixed(3).replace(/\.?0+$/, '');
+                return `rgba(${this.r}, ${this.g}, ${this.b}, ${alpha})`;
+            }
+            case 'canvas':
+                if (this.isOpaque) {
+                    return this.toCSS('hex');
+                }
+                return `rgba(${this.r}, ${this.g}, ${this.b}, ${this._serializeAlpha()})`;
+            case 'hex':
+                return '#' + [this.r, this.g, this.b].map(Color._toHexByte).join('');
+            case 'hex8':
+                return '#' + [this.r, this.g, this.b, this.a].map(Color._toHexByte).join('');
+            case 'hsl': {
+                const [h, s, l] = ColorSpaces.srgbToHsl([this.r / 255, this.g / 255, this.b / 255]);
+                const round2 = v => String(+v.toFixed(2));
+                const body = `${round2(isNaN(h) ? 0 : h)} ${round2(s * 100)}% ${round2(l * 100)}%`;
+                return this.isOpaque ? `hsl(${body})` : `hsl(${body} / ${this._serializeAlpha()})`;
+            }
+            case 'modern': {
+                const body = `${this.r} ${this.g} ${this.b}`;
+                return this.isOpaque ? `rgb(${body})` : `rgb(${body} / ${this._serializeAlpha()})`;
+            }
+            default:
+                throw new Error(`Unknown CSS color format: ${format}`);
+        }
+    }
+
+    /**
+     * Serialize alpha the way CSS Color 4 and canvas do for 8-bit alpha:
+     * two decimals if they map back to the same 8-bit value, otherwise three.
+     * @returns {string} Alpha in 0-1 range without trailing zeros
+     * @private
+     */
+    _serializeAlpha() {
+        let alpha = Math.round(this._a / 255 * 100) / 100;
+        if (Math.round(alpha * 255) !== this._a) {
+            alpha = Math.round(this._a / 255 * 1000) / 1000;
+        }
+        return String(alpha);
     }
 
     /**
@@ -197,6 +475,99 @@ class Color {
     }
 }
 
+/**
+ * Format a 0-255 channel as two lowercase hex digits
+ * @param {number} value - Channel value
+ * @returns {string} Hex byte
+ * @private
+ */
+Color._toHexByte = function (value) {
+    return value.toString(16).padStart(2, '0');
+};
+
+// Porter-Duff operators: (αs, αd) => [Fa, Fb] with result = Fa × source + Fb × destination
+Color._porterDuffFactors = {
+    'source-over': (as, ad) => [1, 1 - as],
+    'source-in': (as, ad) => [ad, 0],
+    'source-out': (as, ad) => [1 - ad, 0],
+    'source-atop': (as, ad) => [ad, 1 - as],
+    'destination-over': (as, ad) => [1 - ad, 1],
+    'destination-in': (as, ad) => [0, as],
+    'destination-out': (as, ad) => [0, 1 - as],
+    'destination-atop': (as, ad) => [1 - ad, as],
+    'lighter': (as, ad) => [1, 1],
+    'copy': (as, ad) => [1, 0],
+    'xor': (as, ad) => [1 - ad, 1 - as]
+};
+
+// Separable blend functions B(Cb, Cs) on non-premultiplied 0-1 channels (W3C Compositing Level 1)
+Color._separableBlendModes = {
+    'multiply': (cb, cs) => cb * cs,
+    'screen': (cb, cs) => cb + cs - cb * cs,
+    'overlay': (cb, cs) => Color._separableBlendModes['hard-light'](cs, cb),
+    'darken': (cb, cs) => Math.min(cb, cs),
+    'lighten': (cb, cs) => Math.max(cb, cs),
+    'color-dodge': (cb, cs) => {
+        if (cb === 0) return 0;
+        if (cs >= 1) return 1;
+        return Math.min(1, cb / (1 - cs));
+    },
+    'color-burn': (cb, cs) => {
+        if (cb >= 1) return 1;
+        if (cs === 0) return 0;
+        return 1 - Math.min(1, (1 - cb) / cs);
+    },
+    'hard-light': (cb, cs) => {
+        if (cs <= 0.5) return cb * 2 * cs;
+        const s = 2 * cs - 1;
+        return cb + s - cb * s;
+    },
+    'soft-light': (cb, cs) => {
+        if (cs <= 0.5) return cb - (1 - 2 * cs) * cb * (1 - cb);
+        const d = cb <= 0.25 ? ((16 * cb - 12) * cb + 4) * cb : Math.sqrt(cb);
+        return cb + (2 * cs - 1) * (d - cb);
+    },
+    'difference': (cb, cs) => Math.abs(cb - cs),
+    'exclusion': (cb, cs) => cb + cs - 2 * cb * cs
+};
+
+// Helpers for the non-separable blend modes (W3C Compositing Level 1, section 5.8)
+Color._lum = c => 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+Color._sat = c => Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+Color._clipColor = c => {
+    const l = Color._lum(c);
+    const n = Math.min(c[0], c[1], c[2]);
+    const x = Math.max(c[0], c[1], c[2]);
+    let result = c;
+    if (n < 0) result = result.map(v => l + (v - l) * l / (l - n));
+    if (x > 1) result = result.map(v => l + (v - l) * (1 - l) / (x - l));
+    return result;
+};
+Color._setLum = (c, l) => {
+    const d = l - Color._lum(c);
+    return Color._clipColor([c[0] + d, c[1] + d, c[2] + d]);
+};
+Color._setSat = (c, s) => {
+    const max = Math.max(c[0], c[1], c[2]);
+    const min = Math.min(c[0], c[1], c[2]);
+    return max > min ? c.map(v => (v - min) * s / (max - min)) : [0, 0, 0];
+};
+
+// Non-separable blend functions B(Cb, Cs) on [r, g, b] arrays
+Color._nonSeparableBlendModes = {
+    'hue': (cb, cs) => Color._setLum(Color._setSat(cs, Color._sat(cb)), Color._lum(cb)),
+    'saturation': (cb, cs) => Color._setLum(Color._setSat(cb, Color._sat(cs)), Color._lum(cb)),
+    'color': (cb, cs) => Color._setLum(cs, Color._lum(cb)),
+    'luminosity': (cb, cs) => Color._setLum(cb, Color._lum(cs))
+};
+
+// All supported globalCompositeOperation names
+Color.COMPOSITE_OPERATIONS = Object.freeze([
+    ...Object.keys(Color._porterDuffFactors),
+    ...Object.keys(Color._separableBlendModes),
+    ...Object.keys(Color._nonSeparableBlendModes)
+]);
+
 // Static constant: transparent black
 Color.transparent = new Color(0, 0, 0, 0);
 
@@ -207,12 +578,26 @@ Color.black = new Color(0, 0, 0, 255);
  * Create Color from CSS string using provided parser
  * @param {string} cssString - CSS color string
  * @param {ColorParser} parser - ColorParser instance
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.strict - Throw ColorParseError on malformed input
+ *                                   even if the parser is lenient
  * @returns {Color} New Color instance
  */
-Color.fromCSS = function (cssString, parser) {
+Color.fromCSS = function (cssString, parser, options = {}) {
     if (!cssString || typeof cssString !== 'string') {
         throw new Error("Invalid color format: must be a string");
     }
-    const parsed = parser.parse(cssString);
+    const parsed = options.strict ? parser.parseStrict(cssString) : parser.parse(cssString);
     return new Color(parsed.r, parsed.g, parsed.b, parsed.a, false);
+};
+
+/**
+ * Create Color from CSS string, or null if the string is malformed
+ * @param {string} cssString - CSS color string
+ * @param {ColorParser} parser - ColorParser instance
+ * @returns {Color|null} New Color instance, or null
+ */
+Color.tryFromCSS = function (cssString, parser) {
+    const parsed = parser.tryParse(cssString);
+    return parsed ? new Color(parsed.r, parsed.g, parsed.b, parsed.a, false) : null;
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * ColorGradient class for SWCanvas
+ *
+ * Evaluates the color ramp of a canvas gradient from its color stops.
+ * Follows the HTML5 canvas rules:
+ * - Offsets must be finite numbers in 0-1
+ * - Stops are kept sorted by offset; stops with equal offsets stay in
+ *   insertion order, producing a hard transition at that offset
+ * - Before the first stop the first color is used, after the last stop the
+ *   last color is used; a gradient without stops is transparent black
+ * - Colors are interpolated in premultiplied sRGB
+ *
+ * A lookup table of premultiplied Colors is precomputed lazily at a
+ * configurable resolution so paints can sample it per pixel without
+ * allocating (see GradientPaint).
+ */
+class ColorGradient {
+    /**
+     * Create a ColorGradient
+     * @param {ColorParser} parser - ColorParser used for addColorStop strings
+     * @param {number} resolution - Number of lookup table entries (at least 2)
+     */
+    constructor(parser = new ColorParser(), resolution = 256) {
+        if (typeof resolution !== 'number' || !Number.isInteger(resolution) || resolution < 2) {
+            throw new Error('ColorGradient resolution must be an integer of at least 2');
+        }
+
+        this._parser = parser;
+        this._resolution = resolution;
+        this._stops = [];
+        this._lookupTable = null;
+    }
+
+    /**
+     * Add a color stop (canvas CanvasGradient.addColorStop semantics)
+     * @param {number} offset - Stop position (0-1)
+     * @param {string} color - CSS color string
+     * @throws {Error} If offset is out of range (canvas IndexSizeError)
+     * @throws {ColorParseError} If the color is malformed (canvas SyntaxError)
+     */
+    addColorStop(offset, color) {
+        if (typeof offset !== 'number' || !isFinite(offset) || offset < 0 || offset > 1) {
+            throw new Error('Color stop offset must be a finite number in range 0-1');
+        }
+
+        if (typeof color !== 'string') {
+            throw new Error('Color stop color must be a CSS color string');
+        }
+
+        const rgba = this._parser.parseStrict(color);
+
+        // Insert after any existing stops with the same offset
+        let index = this._stops.length;
+        while (index > 0 && this._stops[index - 1].offset > offset) {
+            index--;
+        }
+
+        this._stops.splice(index, 0, {
+            offset,
+            color: new Color(rgba.r, rgba.g, rgba.b, rgba.a, false),
+            // Premultiplied floats keep interpolation free of 8-bit rounding
+            premultiplied: [rgba.r * rgba.a / 255, rgba.g * rgba.a / 255, rgba.b * rgba.a / 255, rgba.a]
+        });
+
+        this._lookupTable = null;
+    }
+
+    /**
+     * Get the color stops in evaluation order
+     * @returns {Object[]} Array of {offset, color} objects
+     */
+    get stops() {
+        return this._stops.map(stop => ({ offset: stop.offset, color: stop.color }));
+    }
+
+    /**
+     * Get the lookup table resolution
+     * @returns {number} Number of lookup table entries
+     */
+    get resolution() {
+        return this._resolution;
+    }
+
+    /**
+     * Evaluate the gradient exactly at a position
+     * @param {number} t - Gradient position; values outside 0-1 are clamped
+     * @returns {Color} Premultiplied color at t
+     */
+    colorAt(t) {
+        const stops = this._stops;
+        if (stops.length === 0) {
+            return Color.transparent;
+        }
+
+        if (!(t > stops[0].offset)) {
+            return stops[0].color;
+        }
+
+        const last = stops[stops.length - 1];
+        if (t >= last.offset) {
+            return last.color;
+        }
+
+        // Find the last stop at or before t; hard transitions resolve to the later stop
+        let i = 0;
+        while (stops[i + 1].offset <= t) {
+            i++;
+        }
+
+        const from = stops[i];
+        const to = stops[i + 1];
+        const u = (t - from.offset) / (to.offset - from.offset);
+        const lerp = k => from.premultiplied[k] + (to.premultiplied[k] - from.premultiplied[k]) * u;
+
+        return new Color(lerp(0), lerp(1), lerp(2), lerp(3), true);
+    }
+
+    /**
+     * Get the precomputed lookup table
+     * Entry i holds colorAt(i / (resolution - 1)).
+     * @returns {Color[]} Lookup table of premultiplied Colors
+     */
+    getLookupTable() {
+        if (this._lookupTable === null) {
+            const table = new Array(this._resolution);
+            const scale = 1 / (this._resolution - 1);
+            for (let i = 0; i < this._resolution; i++) {
+                table[i] = this.colorAt(i * scale);
+            }
+            this._lookupTable = table;
+        }
+        return this._lookupTable;
+    }
+
+    /**
+     * Sample the lookup table at a position (fast path for per-pixel use)
+     * @param {number} t - Gradient position; values outside 0-1 are clamped
+     * @returns {Color} Nearest lookup table color
+     */
+    sample(t) {
+        const table = this.getLookupTable();
+        const max = this._resolution - 1;
+        if (!(t > 0)) return table[0];
+        if (t >= 1) return table[max];
+        return table[Math.round(t * max)];
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} ColorGradient description
+     */
+    toString() {
+        const stops = this._stops.map(stop => `${stop.offset}: ${stop.color.toCSS('canvas')}`).join(', ');
+        return `ColorGradient([${stops}], resolution ${this._resolution})`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * ColorParseError for SWCanvas
+ *
+ * Thrown by ColorParser in strict mode when a CSS color string is malformed.
+ * Carries the original input, the character offset at which parsing failed
+ * and a human-readable reason, so callers can point at the exact problem in
+ * theme or configuration files.
+ */
+class ColorParseError extends Error {
+    /**
+     * Create a ColorParseError
+     * @param {string} input - The original (untrimmed) color string
+     * @param {number} offset - Character offset into input where the error was detected
+     * @param {string} reason - Description of what is wrong
+     */
+    constructor(input, offset, reason) {
+        super(`Invalid CSS color "${input}" at offset ${offset}: ${reason}`);
+        this.name = 'ColorParseError';
+        this.input = input;
+        this.offset = offset;
+        this.reason = reason;
+    }
+}
\ No newline at end of file
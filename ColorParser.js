@@ -2,12 +2,35 @@
  * ColorParser for SWCanvas
  * 
  * Parses CSS color strings into RGBA values for use with Core API.
- * Supports hex, RGB/RGBA functions, and named colors.
+ * Supports hex, named colors, `transparent`, `currentcolor`, CSS system
+ * colors (with a configurable palette) and the CSS Color Level 4 functional notations:
+ * rgb()/rgba() (legacy comma and modern space-separated forms), hsl()/hsla(),
+ * hwb(), lab(), lch(), oklab() and oklch(), including percentages, `none`
+ * components and hue angle units (deg, rad, grad, turn).
+ * Colors outside the sRGB gamut are gamut mapped (CSS Color 4 algorithm)
+ * using ColorSpaces.
+ *
+ * Malformed input falls back to opaque black by default for canvas
+ * compatibility. Strict mode, parseStrict(), tryParse() and isValid() expose
+ * failures instead, with ColorParseError describing where parsing stopped.
  * Includes caching for performance optimization.
  */
 class ColorParser {
-    constructor() {
+    /**
+     * Create a ColorParser
+     * @param {Object} options - Parser options
+     * @param {boolean} options.strict - Throw ColorParseError on malformed input
+     *                                   instead of falling back to opaque black
+     * @param {string|Object|Function} options.currentColor - Value (or resolver
+     *                                   function) that `currentcolor` resolves to
+     * @param {Object} options.systemColors - Overrides for the CSS system color
+     *                                   palette, keyed by system color name
+     */
+    constructor(options = {}) {
         this._cache = new Map();
+        this._strict = options.strict === true;
+        this._currentColor = null;
+        this._systemColors = {};
         
         // CSS Color names to RGB mapping - Complete MDN specification
         this._namedColors = {
@@ -163,37 +186,198 @@ class ColorParser {
             whitesmoke: { r: 245, g: 245, b: 245 },
             yellowgreen: { r: 154, g: 205, b: 50 }
         };
+        
+        // Palette entries may be named colors, so resolve them once the table exists
+        if (options.currentColor !== undefined) {
+            this.setCurrentColor(options.currentColor);
+        }
+        this.setSystemColors(options.systemColors || {});
     }
     
     /**
      * Parse a CSS color string to RGBA values
+     * In lenient mode (the default) malformed input falls back to opaque black,
+     * matching how the canvas treats unparseable colors. In strict mode a
+     * ColorParseError is thrown instead.
      * @param {string} color - CSS color string
      * @returns {Object} {r, g, b, a} with values 0-255
+     * @throws {ColorParseError} In strict mode, if the color is malformed
      */
     parse(color) {
+        return this._strict ? this.parseStrict(color) : this._lenient(this._parseCached(color));
+    }
+    
+    /**
+     * Parse a CSS color string, throwing on malformed input regardless of mode
+     * @param {string} color - CSS color string
+     * @returns {Object} {r, g, b, a} with values 0-255
+     * @throws {ColorParseError} If the color is malformed
+     */
+    parseStrict(color) {
+        const result = this._parseCached(color);
+        if (result instanceof ColorParseError) {
+            // Fresh instance so the stack trace points at this call, not the cached one
+            throw new ColorParseError(result.input, result.offset, result.reason);
+        }
+        return result;
+    }
+    
+    /**
+     * Parse a CSS color string without guessing
+     * @param {string} color - CSS color string
+     * @returns {Object|null} {r, g, b, a} with values 0-255, or null if malformed
+     */
+    tryParse(color) {
+        const result = this._parseCached(color);
+        return result instanceof ColorParseError ? null : result;
+    }
+    
+    /**
+     * Check whether a CSS color string is well-formed
+     * @param {string} color - CSS color string
+     * @returns {boolean} True if the color parses without errors
+     */
+    isValid(color) {
+        return !(this._parseCached(color) instanceof ColorParseError);
+    }
+    
+    /**
+     * Whether this parser throws on malformed input
+     * @returns {boolean} True in strict mode
+     */
+    get strict() {
+        return this._strict;
+    }
+    
+    /**
+     * Set what the `currentcolor` keyword resolves to
+     *
+     * Canvas resolves `currentcolor` against the computed `color` of the canvas
+     * element at assignment time, falling back to opaque black when there is no
+     * element. Pass a function to resolve lazily on every parse, or a static
+     * CSS string / {r, g, b, a} object. Pass null to restore the black fallback.
+     * @param {string|Object|Function|null} colorOrResolver - Current color source
+     */
+    setCurrentColor(colorOrResolver) {
+        this._currentColor = colorOrResolver;
+    }
+    
+    /**
+     * Configure the CSS system color palette (Canvas, CanvasText, LinkText, ...)
+     * Entries override ColorParser.DEFAULT_SYSTEM_COLORS; names are case-insensitive
+     * and values may be CSS strings or {r, g, b, a} objects.
+     * @param {Object} palette - System color overrides
+     * @throws {ColorParseError} If a palette entry is not a valid color
+     */
+    setSystemColors(palette) {
+        const merged = {};
+        for (const name of Object.keys(ColorParser.DEFAULT_SYSTEM_COLORS)) {
+            merged[name.toLowerCase()] = ColorParser.DEFAULT_SYSTEM_COLORS[name];
+        }
+        for (const name of Object.keys(palette)) {
+            const key = name.toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(merged, key)) {
+                throw new Error(`Unknown CSS system color "${name}"`);
+            }
+            merged[key] = palette[name];
+        }
+        
+        const resolved = {};
+        for (const key of Object.keys(merged)) {
+            resolved[key] = this._toRGBA(merged[key]);
+        }
+        
+        this._systemColors = resolved;
+        
+        // Cached results may refer to the previous palette
+        this.clearCache();
+    }
+    
+    /**
+     * Get the resolved system color palette
+     * @returns {Object} Map of lowercase system color names to {r, g, b, a}
+     */
+    getSystemColors() {
+        const copy = {};
+        for (const key of Object.keys(this._systemColors)) {
+            copy[key] = Object.assign({}, this._systemColors[key]);
+        }
+        return copy;
+    }
+    
+    /**
+     * Normalize a CSS string or {r, g, b, a} object to an RGBA result
+     * Malformed values raise ColorParseError so lenient parsing of
+     * `currentcolor` can report them as ordinary parse failures.
+     * @private
+     */
+    _toRGBA(value) {
+        if (typeof value === 'string') {
+            const parsed = this._lookup(value);
+            if (parsed instanceof ColorParseError) {
+                throw parsed;
+            }
+            return parsed === ColorParser.CURRENT_COLOR ? { r: 0, g: 0, b: 0, a: 255 } : parsed;
+        }
+        
+        if (!value || typeof value.r !== 'number' || typeof value.g !== 'number' || typeof value.b !== 'number' ||
+            (value.a !== undefined && typeof value.a !== 'number')) {
+            throw new ColorParseError(String(value), 0, 'Color value must be a CSS string or an {r, g, b, a} object');
+        }
+        return { r: value.r, g: value.g, b: value.b, a: value.a === undefined ? 255 : value.a };
+    }
+    
+    /**
+     * Resolve the `currentcolor` keyword through the configured source
+     * @private
+     */
+    _resolveCurrentColor() {
+        const source = typeof this._currentColor === 'function' ? this._currentColor() : this._currentColor;
+        if (source === null || source === undefined) {
+            return { r: 0, g: 0, b: 0, a: 255 };
+        }
+        
+        try {
+            return this._toRGBA(source);
+        } catch (error) {
+            if (error instanceof ColorParseError) {
+                return error;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Parse with caching and resolve `currentcolor`
+     * @returns {Object|ColorParseError} Parsed RGBA or the parse error
+     * @private
+     */
+    _parseCached(color) {
+        const result = this._lookup(color);
+        return result === ColorParser.CURRENT_COLOR ? this._resolveCurrentColor() : result;
+    }
+    
+    /**
+     * Parse with caching; failures are cached as ColorParseError instances
+     * `currentcolor` is cached as the ColorParser.CURRENT_COLOR marker since its
+     * value can change between calls.
+     * @returns {Object|ColorParseError} Parsed RGBA, the marker, or the parse error
+     * @private
+     */
+    _lookup(color) {
         // Check cache first
         if (this._cache.has(color)) {
             return this._cache.get(color);
         }
         
         let result;
-        
-        if (typeof color !== 'string') {
-            result = { r: 0, g: 0, b: 0, a: 255 };
-        } else {
-            const trimmed = color.trim().toLowerCase();
-            
-            if (trimmed.startsWith('#')) {
-                result = this._parseHex(trimmed);
-            } else if (trimmed.startsWith('rgb')) {
-                result = this._parseRGB(trimmed);
-            } else if (this._namedColors[trimmed]) {
-                const named = this._namedColors[trimmed];
-                result = { r: named.r, g: named.g, b: named.b, a: 255 };
-            } else {
-                // Unknown color - default to black
-                result = { r: 0, g: 0, b: 0, a: 255 };
+        try {
+            result = this._parseColor(color);
+        } catch (error) {
+            if (!(error instanceof ColorParseError)) {
+                throw error;
             }
+            result = error;
         }
         
         // Cache the result
@@ -202,15 +386,82 @@ class ColorParser {
     }
     
     /**
-     * Parse hex color (#RGB, #RRGGBB, #RRGGBBAA)
+     * Map a cached parse outcome to the lenient (canvas-compatible) result
+     * @private
+     */
+    _lenient(result) {
+        // Unknown or malformed color - default to black
+        return result instanceof ColorParseError ? { r: 0, g: 0, b: 0, a: 255 } : result;
+    }
+    
+    /**
+     * Parse a color string, throwing ColorParseError on any problem
+     * @private
+     */
+    _parseColor(color) {
+        if (typeof color !== 'string') {
+            throw new ColorParseError(String(color), 0, 'Color must be a string');
+        }
+        
+        // Offsets reported to the caller are relative to the untrimmed input
+        const ctx = { input: color, base: color.length - color.trimStart().length };
+        const trimmed = color.trim().toLowerCase();
+        
+        if (trimmed === '') {
+            this._fail(ctx, 0, 'Empty color string');
+        }
+        
+        if (trimmed.startsWith('#')) {
+            return this._parseHex(trimmed, ctx);
+        }
+        
+        if (trimmed.includes('(')) {
+            return this._parseFunction(trimmed, ctx);
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(this._namedColors, trimmed)) {
+            const named = this._namedColors[trimmed];
+            return { r: named.r, g: named.g, b: named.b, a: 255 };
+        }
+        
+        if (trimmed === 'transparent') {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+        
+        if (trimmed === 'currentcolor') {
+            return ColorParser.CURRENT_COLOR;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(this._systemColors, trimmed)) {
+            return Object.assign({}, this._systemColors[trimmed]);
+        }
+        
+        this._fail(ctx, 0, `Unknown color name "${trimmed}"`);
+    }
+    
+    /**
+     * Throw a ColorParseError at an offset relative to the trimmed input
      * @private
      */
-    _parseHex(hex) {
+    _fail(ctx, offset, reason) {
+        throw new ColorParseError(ctx.input, ctx.base + offset, reason);
+    }
+    
+    /**
+     * Parse hex color (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
+     * @private
+     */
+    _parseHex(hex, ctx) {
         // Remove the #
         hex = hex.substring(1);
         
-        if (hex.length === 3) {
-            // #RGB -> #RRGGBB
+        const badDigit = hex.search(/[^0-9a-f]/);
+        if (badDigit !== -1) {
+            this._fail(ctx, badDigit + 1, `Invalid hex digit "${hex[badDigit]}"`);
+        }
+        
+        if (hex.length === 3 || hex.length === 4) {
+            // #RGB -> #RRGGBB, #RGBA -> #RRGGBBAA
             hex = hex.split('').map(c => c + c).join('');
         }
         
@@ -229,40 +480,288 @@ class ColorParser {
             return { r, g, b, a };
         }
         
-        // Invalid hex - default to black
-        return { r: 0, g: 0, b: 0, a: 255 };
+        this._fail(ctx, 0, `Hex color must have 3, 4, 6 or 8 digits, got ${hex.length}`);
     }
     
     /**
-     * Parse RGB/RGBA function notation
+     * Parse a CSS functional color notation such as rgb(), hsl() or oklch()
      * @private
      */
-    _parseRGB(rgb) {
-        // Extract the content inside parentheses
-        const match = rgb.match(/rgba?\s*\(\s*([^)]+)\s*\)/);
-        if (!match) {
-            return { r: 0, g: 0, b: 0, a: 255 };
+    _parseFunction(str, ctx) {
+        const open = str.indexOf('(');
+        const name = str.substring(0, open).trim();
+        
+        if (!str.endsWith(')')) {
+            this._fail(ctx, str.length, 'Missing closing parenthesis');
         }
         
-        const parts = match[1].split(',').map(s => s.trim());
+        const body = str.substring(open + 1, str.length - 1);
+        const nested = body.search(/[()]/);
+        if (nested !== -1) {
+            this._fail(ctx, open + 1 + nested, 'Unexpected parenthesis');
+        }
         
-        if (parts.length < 3) {
-            return { r: 0, g: 0, b: 0, a: 255 };
+        if (!ColorParser.FUNCTIONS.includes(name)) {
+            this._fail(ctx, 0, `Unknown color function "${name}"`);
+        }
+        
+        const args = this._splitArguments(body, open + 1, ctx);
+        
+        switch (name) {
+            case 'rgb':
+            case 'rgba':
+                return this._parseRGB(args, ctx);
+            case 'hsl':
+            case 'hsla':
+                return this._parseHSL(args, ctx);
+            case 'hwb':
+            case 'lab':
+            case 'lch':
+            case 'oklab':
+            case 'oklch':
+                if (args.legacy) {
+                    this._fail(ctx, args.firstComma, `${name}() does not support comma-separated arguments`);
+                }
+                return name === 'hwb' ? this._parseHWB(args, ctx) : this._parseLabFamily(name, args, ctx);
+        }
+    }
+    
+    /**
+     * Split function arguments into color components and an optional alpha
+     * Handles both the legacy comma-separated form and the modern
+     * space-separated form with a `/ alpha` suffix. Each token carries its
+     * offset into the trimmed input for error reporting.
+     * @returns {Object} {components, alpha, legacy, firstComma}
+     * @private
+     */
+    _splitArguments(body, bodyOffset, ctx) {
+        const tokens = [];
+        const pattern = /,|\/|[^\s,/]+/g;
+        let match;
+        while ((match = pattern.exec(body)) !== null) {
+            tokens.push({ text: match[0], offset: bodyOffset + match.index });
+        }
+        
+        const end = bodyOffset + body.length;
+        const firstComma = tokens.find(t => t.text === ',');
+        
+        if (firstComma) {
+            const values = [];
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                const expectValue = i % 2 === 0;
+                if (token.text === '/') {
+                    this._fail(ctx, token.offset, 'Cannot mix "/" with comma-separated arguments');
+                }
+                if (expectValue === (token.text === ',')) {
+                    this._fail(ctx, token.offset, expectValue ? 'Expected a value' : 'Expected ","');
+                }
+                if (token.text === 'none') {
+                    this._fail(ctx, token.offset, '"none" is not allowed in comma-separated syntax');
+                }
+                if (expectValue) values.push(token);
+            }
+            if (tokens[tokens.length - 1].text === ',') {
+                this._fail(ctx, end, 'Expected a value after ","');
+            }
+            if (values.length < 3 || values.length > 4) {
+                this._fail(ctx, values.length > 4 ? values[4].offset : end,
+                    `Expected 3 or 4 comma-separated arguments, got ${values.length}`);
+            }
+            return {
+                components: values.slice(0, 3),
+                alpha: values.length === 4 ? values[3] : null,
+                legacy: true,
+                firstComma: firstComma.offset
+            };
+        }
+        
+        const slash = tokens.findIndex(t => t.text === '/');
+        const components = slash === -1 ? tokens : tokens.slice(0, slash);
+        if (components.length !== 3) {
+            this._fail(ctx, components.length > 3 ? components[3].offset : (slash === -1 ? end : tokens[slash].offset),
+                `Expected 3 components, got ${components.length}`);
+        }
+        
+        let alpha = null;
+        if (slash !== -1) {
+            const rest = tokens.slice(slash + 1);
+            if (rest.length !== 1 || rest[0].text === '/') {
+                this._fail(ctx, rest.length === 0 ? end : rest[Math.min(1, rest.length - 1)].offset,
+                    'Expected exactly one alpha value after "/"');
+            }
+            alpha = rest[0];
+        }
+        
+        return { components, alpha, legacy: false, firstComma: -1 };
+    }
+    
+    /**
+     * Parse a number or percentage component
+     * `none` resolves to 0, as CSS does when converting for display.
+     * @param {Object} token - {text, offset} component token
+     * @param {number} percentReference - Value that 100% maps to
+     * @returns {number} Parsed value
+     * @private
+     */
+    _parseComponent(token, percentReference, ctx) {
+        if (token.text === 'none') {
+            return 0;
+        }
+        
+        const match = token.text.match(ColorParser.NUMBER_PATTERN);
+        if (!match || (match[2] !== '' && match[2] !== '%')) {
+            this._fail(ctx, token.offset, `Expected a number or percentage, got "${token.text}"`);
+        }
+        
+        const value = parseFloat(match[1]);
+        return match[2] === '%' ? value * percentReference / 100 : value;
+    }
+    
+    /**
+     * Parse a hue component, honoring deg/rad/grad/turn units
+     * @param {Object} token - {text, offset} hue token
+     * @returns {number} Hue in degrees
+     * @private
+     */
+    _parseHue(token, ctx) {
+        if (token.text === 'none') {
+            return 0;
         }
         
-        const r = Math.max(0, Math.min(255, parseInt(parts[0]) || 0));
-        const g = Math.max(0, Math.min(255, parseInt(parts[1]) || 0));
-        const b = Math.max(0, Math.min(255, parseInt(parts[2]) || 0));
+        const match = token.text.match(ColorParser.NUMBER_PATTERN);
+        const value = match ? parseFloat(match[1]) : NaN;
+        switch (match && match[2]) {
+            case '':
+            case 'deg': return value;
+            case 'rad': return value * 180 / Math.PI;
+            case 'grad': return value * 0.9;
+            case 'turn': return value * 360;
+            default:
+                this._fail(ctx, token.offset, `Expected a number or angle for hue, got "${token.text}"`);
+        }
+    }
+    
+    /**
+     * Parse an alpha component (number 0-1 or percentage)
+     * @param {Object|null} token - {text, offset} alpha token, null when omitted
+     * @returns {number} Alpha in 0-255
+     * @private
+     */
+    _parseAlpha(token, ctx) {
+        if (token === null) {
+            return 255;
+        }
         
-        let a = 255;
-        if (parts.length >= 4) {
-            const alpha = parseFloat(parts[3]);
-            if (!isNaN(alpha)) {
-                a = Math.max(0, Math.min(255, Math.round(alpha * 255)));
+        const alpha = this._parseComponent(token, 1, ctx);
+        return Math.round(Math.max(0, Math.min(1, alpha)) * 255);
+    }
+    
+    /**
+     * Check whether a component token is a percentage
+     * @private
+     */
+    _isPercentage(token) {
+        return token.text.endsWith('%');
+    }
+    
+    /**
+     * Convert 0-1 sRGB channels plus parsed alpha into an {r, g, b, a} result
+     * @private
+     */
+    _toResult(rgb, a) {
+        const to255 = c => Math.round(Math.max(0, Math.min(1, c)) * 255);
+        return { r: to255(rgb[0]), g: to255(rgb[1]), b: to255(rgb[2]), a };
+    }
+    
+    /**
+     * Parse RGB/RGBA function arguments
+     * @private
+     */
+    _parseRGB(args, ctx) {
+        if (args.legacy) {
+            const usesPercent = this._isPercentage(args.components[0]);
+            const mixed = args.components.find(t => this._isPercentage(t) !== usesPercent);
+            if (mixed) {
+                this._fail(ctx, mixed.offset, 'Cannot mix numbers and percentages in comma-separated rgb()');
             }
         }
         
-        return { r, g, b, a };
+        const rgb = args.components.map(token => this._parseComponent(token, 255, ctx) / 255);
+        return this._toResult(rgb, this._parseAlpha(args.alpha, ctx));
+    }
+    
+    /**
+     * Parse HSL/HSLA function arguments
+     * Saturation and lightness accept percentages, or plain numbers in the
+     * modern syntax (where 50 means 50%).
+     * @private
+     */
+    _parseHSL(args, ctx) {
+        const [hueToken, satToken, lightToken] = args.components;
+        if (args.legacy) {
+            const notPercent = [satToken, lightToken].find(t => !this._isPercentage(t));
+            if (notPercent) {
+                this._fail(ctx, notPercent.offset, 'Comma-separated hsl() requires percentages for saturation and lightness');
+            }
+        }
+        
+        const h = this._parseHue(hueToken, ctx);
+        const s = this._parseComponent(satToken, 100, ctx) / 100;
+        const l = this._parseComponent(lightToken, 100, ctx) / 100;
+        
+        const rgb = ColorSpaces.hslToSrgb(h, Math.max(0, Math.min(1, s)), Math.max(0, Math.min(1, l)));
+        return this._toResult(rgb, this._parseAlpha(args.alpha, ctx));
+    }
+    
+    /**
+     * Parse HWB function arguments
+     * @private
+     */
+    _parseHWB(args, ctx) {
+        const [hueToken, whiteToken, blackToken] = args.components;
+        const h = this._parseHue(hueToken, ctx);
+        const w = this._parseComponent(whiteToken, 100, ctx) / 100;
+        const bl = this._parseComponent(blackToken, 100, ctx) / 100;
+        
+        const rgb = ColorSpaces.hwbToSrgb(h, Math.max(0, Math.min(1, w)), Math.max(0, Math.min(1, bl)));
+        return this._toResult(rgb, this._parseAlpha(args.alpha, ctx));
+    }
+    
+    /**
+     * Parse lab(), lch(), oklab() and oklch() arguments
+     * Results are gamut mapped into sRGB in OKLCH space.
+     * @private
+     */
+    _parseLabFamily(name, args, ctx) {
+        const [first, second, third] = args.components;
+        const isOk = name.startsWith('ok');
+        const isPolar = name.endsWith('lch');
+        
+        // Percentage references from CSS Color 4
+        const lightnessRef = isOk ? 1 : 100;
+        const axisRef = isOk ? 0.4 : 125;
+        const chromaRef = isOk ? 0.4 : 150;
+        
+        const lightness = Math.max(0, Math.min(lightnessRef, this._parseComponent(first, lightnessRef, ctx)));
+        let lab;
+        if (isPolar) {
+            const chroma = Math.max(0, this._parseComponent(second, chromaRef, ctx));
+            lab = ColorSpaces.lchToLab([lightness, chroma, this._parseHue(third, ctx)]);
+        } else {
+            lab = [lightness, this._parseComponent(second, axisRef, ctx), this._parseComponent(third, axisRef, ctx)];
+        }
+        
+        const alpha = this._parseAlpha(args.alpha, ctx);
+        
+        let oklab = lab;
+        if (!isOk) {
+            const xyz = ColorSpaces.xyzD50ToD65(ColorSpaces.labToXyzD50(lab));
+            oklab = ColorSpaces.xyzToOklab(xyz);
+        }
+        
+        const rgb = ColorSpaces.gamutMapOklchToSrgb(ColorSpaces.labToLch(oklab));
+        return this._toResult(rgb, alpha);
     }
     
     /**
@@ -271,4 +770,36 @@ class ColorParser {
     clearCache() {
         this._cache.clear();
     }
-}
\ No newline at end of file
+}
+
+// Number with optional unit or percent sign: captures [value, unit]
+ColorParser.NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*|%)$/;
+
+// Supported color function names
+ColorParser.FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+
+// Cache marker for `currentcolor`, which is resolved on every parse
+ColorParser.CURRENT_COLOR = Object.freeze({ currentColor: true });
+
+// Default CSS system color palette (light color scheme, close to browser defaults)
+ColorParser.DEFAULT_SYSTEM_COLORS = Object.freeze({
+    AccentColor: '#0075ff',
+    AccentColorText: '#ffffff',
+    ActiveText: '#ff0000',
+    ButtonBorder: '#767676',
+    ButtonFace: '#efefef',
+    ButtonText: '#000000',
+    Canvas: '#ffffff',
+    CanvasText: '#000000',
+    Field: '#ffffff',
+    FieldText: '#000000',
+    GrayText: '#808080',
+    Highlight: '#3390ff',
+    HighlightText: '#ffffff',
+    LinkText: '#0000ee',
+    Mark: '#ffff00',
+    MarkText: '#000000',
+    SelectedItem: '#3390ff',
+    SelectedItemText: '#ffffff',
+    VisitedText: '#551a8b'
+});
\ No newline at end of file
@@ -0,0 +1,531 @@
+/**
+ * ColorQuantizer class for SWCanvas
+ *
+ * Reduces RGBA pixel buffers to a fixed palette of Colors for 8-bit palette
+ * and 1-bit export targets (GIF, e-ink, LCD).
+ *
+ * - Palettes are given explicitly or generated with median-cut or octree
+ * - Nearest-color matching is done in OKLab so matches are perceptual
+ * - Dithering: none, Bayer ordered, Floyd–Steinberg or Atkinson
+ * - Two-color results can be written straight into a BitBuffer
+ *
+ * Input buffers use the ImageData layout (4 bytes per pixel). They are
+ * premultiplied by default, like the surfaces SpanCompositor writes to;
+ * pass `premultiplied: false` for straight-alpha data.
+ */
+class ColorQuantizer {
+    /**
+     * Create a ColorQuantizer for a palette
+     * @param {Color[]} palette - Palette colors (1-65536 entries)
+     * @param {Object} options - Quantizer options
+     * @param {number} options.alphaThreshold - Pixels with alpha below this map to
+     *                                          the palette's transparent entry, if any (default 128)
+     */
+    constructor(palette, options = {}) {
+        if (!Array.isArray(palette) || palette.length === 0 || palette.length > 65536) {
+            throw new Error('Palette must be an array of 1 to 65536 Colors');
+        }
+
+        if (!palette.every(color => color instanceof Color)) {
+            throw new Error('Palette entries must be Color instances');
+        }
+
+        this._palette = palette.slice();
+        this._alphaThreshold = options.alphaThreshold === undefined ? 128 : options.alphaThreshold;
+        this._transparentIndex = palette.findIndex(color => color.isTransparent);
+        this._paletteLab = palette.map(color => ColorSpaces.srgbToOklab([color.r / 255, color.g / 255, color.b / 255]));
+        this._nearestCache = new Map();
+
+        // Make palette immutable
+        Object.freeze(this._palette);
+    }
+
+    /**
+     * Get the palette
+     * @returns {Color[]} Palette colors (frozen)
+     */
+    get palette() {
+        return this._palette;
+    }
+
+    /**
+     * Find the palette index perceptually closest to an sRGB color
+     * Transparent palette entries are only used for transparent pixels.
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {number} Palette index
+     */
+    findNearest(r, g, b) {
+        return this._nearestPair(r, g, b) % 65536;
+    }
+
+    /**
+     * Find the two perceptually closest palette indices
+     * @returns {number} Packed pair: nearest + (second nearest + 1) × 65536,
+     *                   where a second nearest of -1 means there is none
+     * @private
+     */
+    _nearestPair(r, g, b) {
+        r = Math.max(0, Math.min(255, Math.round(r)));
+        g = Math.max(0, Math.min(255, Math.round(g)));
+        b = Math.max(0, Math.min(255, Math.round(b)));
+
+        const key = (r << 16) | (g << 8) | b;
+        const cached = this._nearestCache.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const lab = ColorSpaces.srgbToOklab([r / 255, g / 255, b / 255]);
+        let best = 0;
+        let second = -1;
+        let bestDistance = Infinity;
+        let secondDistance = Infinity;
+        for (let i = 0; i < this._paletteLab.length; i++) {
+            if (i === this._transparentIndex && this._palette.length > 1) {
+                continue;
+            }
+            const p = this._paletteLab[i];
+            const dL = lab[0] - p[0];
+            const dA = lab[1] - p[1];
+            const dB = lab[2] - p[2];
+            const distance = dL * dL + dA * dA + dB * dB;
+            if (distance < bestDistance) {
+                second = bestDistance === Infinity ? -1 : best;
+                secondDistance = bestDistance;
+                bestDistance = distance;
+                best = i;
+            } else if (distance < secondDistance) {
+                secondDistance = distance;
+                second = i;
+            }
+        }
+
+        const pair = best + (second + 1) * 65536;
+        this._nearestCache.set(key, pair);
+        return pair;
+    }
+
+    /**
+     * Map a pixel buffer to palette indices
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - Quantization options
+     * @param {string} options.dither - 'none', 'bayer', 'floyd-steinberg' or 'atkinson'
+     * @param {number} options.bayerSize - Bayer matrix size: 2, 4 or 8 (default 4)
+     * @param {number} options.strength - Dither strength multiplier (default 1)
+     * @param {boolean} options.premultiplied - Whether pixels are premultiplied (default true)
+     * @returns {Uint8Array|Uint16Array} Palette index per pixel
+     */
+    quantize(pixels, width, height, options = {}) {
+        ColorQuantizer._validateImage(pixels, width, height);
+
+        const dither = options.dither || 'none';
+        const strength = options.strength === undefined ? 1 : options.strength;
+        const premultiplied = options.premultiplied !== false;
+        const indices = this._palette.length <= 256 ?
+            new Uint8Array(width * height) : new Uint16Array(width * height);
+
+        // Working copy of non-premultiplied RGB; error diffusion writes into it
+        const work = new Float32Array(width * height * 3);
+        const transparent = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            const a = pixels[i * 4 + 3];
+            const scale = premultiplied ? (a === 0 ? 0 : 255 / a) : 1;
+            work[i * 3] = pixels[i * 4] * scale;
+            work[i * 3 + 1] = pixels[i * 4 + 1] * scale;
+            work[i * 3 + 2] = pixels[i * 4 + 2] * scale;
+            transparent[i] = this._transparentIndex !== -1 && a < this._alphaThreshold ? 1 : 0;
+        }
+
+        if (dither === 'none') {
+            for (let i = 0; i < width * height; i++) {
+                indices[i] = transparent[i] ? this._transparentIndex :
+                    this.findNearest(work[i * 3], work[i * 3 + 1], work[i * 3 + 2]);
+            }
+        } else if (dither === 'bayer') {
+            this._ditherOrdered(work, transparent, indices, width, height, options.bayerSize || 4, strength);
+        } else if (ColorQuantizer.DIFFUSION_KERNELS[dither]) {
+            this._ditherDiffusion(work, transparent, indices, width, height, ColorQuantizer.DIFFUSION_KERNELS[dither], strength);
+        } else {
+            throw new Error(`Unknown dithering method: ${dither}`);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Quantize to a two-color palette and write the result into a BitBuffer
+     * Bit value = palette index, so with [black, white] a set bit is white.
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - Same options as quantize()
+     * @returns {BitBuffer} 1-bit image
+     */
+    quantizeToBitBuffer(pixels, width, height, options = {}) {
+        if (this._palette.length !== 2) {
+            throw new Error('BitBuffer output requires a two-color palette');
+        }
+
+        const indices = this.quantize(pixels, width, height, options);
+        const bits = new BitBuffer(width, height, 0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (indices[y * width + x] === 1) {
+                    bits.setPixel(x, y, true);
+                }
+            }
+        }
+        return bits;
+    }
+
+    /**
+     * Expand palette indices back into a premultiplied RGBA buffer
+     * @param {Uint8Array|Uint16Array} indices - Palette index per pixel
+     * @returns {Uint8ClampedArray} Premultiplied RGBA pixel data
+     */
+    toPixels(indices) {
+        const out = new Uint8ClampedArray(indices.length * 4);
+        for (let i = 0; i < indices.length; i++) {
+            const color = this._palette[indices[i]];
+            out[i * 4] = color.premultipliedR;
+            out[i * 4 + 1] = color.premultipliedG;
+            out[i * 4 + 2] = color.premultipliedB;
+            out[i * 4 + 3] = color.premultipliedA;
+        }
+        return out;
+    }
+
+    /**
+     * Ordered dithering with a Bayer threshold matrix
+     * Each pixel picks between its two nearest palette colors (matched in
+     * OKLab) by comparing its position along the pair, measured in sRGB like
+     * the error diffusion methods, with the matrix threshold. A flat color a
+     * fraction t of the way from one entry to the other therefore yields the
+     * far entry on t of the pixels, so tone matches Floyd–Steinberg.
+     * @private
+     */
+    _ditherOrdered(work, transparent, indices, width, height, size, strength) {
+        const matrix = ColorQuantizer.bayerMatrix(size);
+        const palette = this._palette;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (transparent[i]) {
+                    indices[i] = this._transparentIndex;
+                    continue;
+                }
+
+                const r = work[i * 3];
+                const g = work[i * 3 + 1];
+                const b = work[i * 3 + 2];
+                const pair = this._nearestPair(r, g, b);
+                const near = pair % 65536;
+                const far = Math.floor(pair / 65536) - 1;
+                indices[i] = near;
+                if (far === -1) {
+                    continue;
+                }
+
+                const p = palette[near];
+                const q = palette[far];
+                const dr = q.r - p.r;
+                const dg = q.g - p.g;
+                const db = q.b - p.b;
+                const lengthSquared = dr * dr + dg * dg + db * db;
+                if (lengthSquared === 0) {
+                    continue;
+                }
+
+                const t = ((r - p.r) * dr + (g - p.g) * dg + (b - p.b) * db) / lengthSquared;
+                const threshold = 0.5 + (matrix[(y % size) * size + (x % size)] - 0.5) * strength;
+                if (t > threshold) {
+                    indices[i] = far;
+                }
+            }
+        }
+    }
+
+    /**
+     * Error diffusion dithering with a [dx, dy, weight] kernel
+     * @private
+     */
+    _ditherDiffusion(work, transparent, indices, width, height, kernel, strength) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (transparent[i]) {
+                    indices[i] = this._transparentIndex;
+                    continue;
+                }
+
+                const r = work[i * 3];
+                const g = work[i * 3 + 1];
+                const b = work[i * 3 + 2];
+                const index = this.findNearest(r, g, b);
+                indices[i] = index;
+
+                const chosen = this._palette[index];
+                const errR = (r - chosen.r) * strength;
+                const errG = (g - chosen.g) * strength;
+                const errB = (b - chosen.b) * strength;
+
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) {
+                        continue;
+                    }
+                    const j = (ny * width + nx) * 3;
+                    work[j] += errR * weight;
+                    work[j + 1] += errG * weight;
+                    work[j + 2] += errB * weight;
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a normalized Bayer threshold matrix
+     * @param {number} size - Matrix size: 2, 4 or 8
+     * @returns {Float32Array} size × size thresholds in [0, 1), row-major
+     */
+    static bayerMatrix(size) {
+        if (size !== 2 && size !== 4 && size !== 8) {
+            throw new Error('Bayer matrix size must be 2, 4 or 8');
+        }
+
+        let matrix = [0, 2, 3, 1];
+        for (let n = 2; n < size; n *= 2) {
+            const next = new Array(4 * n * n);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = 4 * matrix[y * n + x];
+                    next[y * 2 * n + x] = v;
+                    next[y * 2 * n + x + n] = v + 2;
+                    next[(y + n) * 2 * n + x] = v + 3;
+                    next[(y + n) * 2 * n + x + n] = v + 1;
+                }
+            }
+            matrix = next;
+        }
+
+        const cells = size * size;
+        return Float32Array.from(matrix, v => (v + 0.5) / cells);
+    }
+
+    /**
+     * Generate a palette with the median-cut algorithm
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} count - Maximum number of palette colors
+     * @param {Object} options - {premultiplied: boolean} (default true)
+     * @returns {Color[]} Opaque palette colors
+     */
+    static medianCutPalette(pixels, width, height, count, options = {}) {
+        const entries = ColorQuantizer._histogram(pixels, width, height, options.premultiplied !== false);
+        if (entries.length === 0) {
+            return [Color.black];
+        }
+
+        const boxes = [entries];
+        while (boxes.length < count) {
+            // Split the box with the widest channel range
+            let target = -1;
+            let targetRange = 0;
+            let targetAxis = 0;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let axis = 0; axis < 3; axis++) {
+                    let min = 255;
+                    let max = 0;
+                    for (const entry of box) {
+                        min = Math.min(min, entry[axis]);
+                        max = Math.max(max, entry[axis]);
+                    }
+                    if (max - min > targetRange) {
+                        target = index;
+                        targetRange = max - min;
+                        targetAxis = axis;
+                    }
+                }
+            });
+
+            if (target === -1) {
+                break; // Every box holds a single color
+            }
+
+            const box = boxes[target].sort((p, q) => p[targetAxis] - q[targetAxis]);
+            const total = box.reduce((sum, entry) => sum + entry[3], 0);
+            let cut = 1;
+            let running = box[0][3];
+            while (cut < box.length - 1 && running + box[cut][3] <= total / 2) {
+                running += box[cut][3];
+                cut++;
+            }
+
+            boxes.splice(target, 1, box.slice(0, cut), box.slice(cut));
+        }
+
+        return boxes.map(box => {
+            let r = 0, g = 0, b = 0, n = 0;
+            for (const entry of box) {
+                r += entry[0] * entry[3];
+                g += entry[1] * entry[3];
+                b += entry[2] * entry[3];
+                n += entry[3];
+            }
+            return new Color(Math.round(r / n), Math.round(g / n), Math.round(b / n), 255);
+        });
+    }
+
+    /**
+     * Generate a palette with octree color reduction
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} count - Maximum number of palette colors
+     * @param {Object} options - {premultiplied: boolean} (default true)
+     * @returns {Color[]} Opaque palette colors
+     */
+    static octreePalette(pixels, width, height, count, options = {}) {
+        const entries = ColorQuantizer._histogram(pixels, width, height, options.premultiplied !== false);
+        if (entries.length === 0) {
+            return [Color.black];
+        }
+
+        const newNode = () => ({ r: 0, g: 0, b: 0, count: 0, children: null, leaf: false });
+        const root = newNode();
+        const reducible = [[], [], [], [], [], [], [], []];
+        let leafCount = 0;
+
+        for (const [r, g, b, n] of entries) {
+            let node = root;
+            for (let level = 0; level < 8; level++) {
+                const shift = 7 - level;
+                const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+                if (node.children === null) {
+                    node.children = new Array(8).fill(null);
+                    reducible[level].push(node);
+                }
+                if (node.children[index] === null) {
+                    node.children[index] = newNode();
+                    if (level === 7) {
+                        node.children[index].leaf = true;
+                        leafCount++;
+                    }
+                }
+                node = node.children[index];
+            }
+            node.r += r * n;
+            node.g += g * n;
+            node.b += b * n;
+            node.count += n;
+        }
+
+        // Merge the deepest nodes into their parents until the palette fits
+        for (let level = 7; level >= 0 && leafCount > count; level--) {
+            // Reduce the least-populated nodes first
+            const nodes = reducible[level];
+            const weight = node => node.children.reduce((sum, child) => sum + (child ? ColorQuantizer._octreeCount(child) : 0), 0);
+            nodes.sort((p, q) => weight(q) - weight(p));
+            while (nodes.length > 0 && leafCount > count) {
+                const node = nodes.pop();
+                let merged = 0;
+                for (const child of node.children) {
+                    if (child === null) continue;
+                    node.r += child.r;
+                    node.g += child.g;
+                    node.b += child.b;
+                    node.count += child.count;
+                    merged++;
+                }
+                node.children = null;
+                node.leaf = true;
+                leafCount -= merged - 1;
+            }
+        }
+
+        const palette = [];
+        const collect = node => {
+            if (node.leaf) {
+                palette.push(new Color(
+                    Math.round(node.r / node.count), Math.round(node.g / node.count), Math.round(node.b / node.count), 255));
+            } else if (node.children !== null) {
+                node.children.forEach(child => child && collect(child));
+            }
+        };
+        collect(root);
+        return palette;
+    }
+
+    /**
+     * Count pixels below an octree node (leaves hold the counts)
+     * @private
+     */
+    static _octreeCount(node) {
+        if (node.leaf || node.children === null) {
+            return node.count;
+        }
+        return node.children.reduce((sum, child) => sum + (child ? ColorQuantizer._octreeCount(child) : 0), 0);
+    }
+
+    /**
+     * Build a histogram of non-transparent, non-premultiplied colors
+     * @returns {number[][]} Array of [r, g, b, count]
+     * @private
+     */
+    static _histogram(pixels, width, height, premultiplied) {
+        ColorQuantizer._validateImage(pixels, width, height);
+
+        const counts = new Map();
+        for (let i = 0; i < width * height; i++) {
+            const a = pixels[i * 4 + 3];
+            if (a === 0) continue;
+            const scale = premultiplied ? 255 / a : 1;
+            const r = Math.min(255, Math.round(pixels[i * 4] * scale));
+            const g = Math.min(255, Math.round(pixels[i * 4 + 1] * scale));
+            const b = Math.min(255, Math.round(pixels[i * 4 + 2] * scale));
+            const key = (r << 16) | (g << 8) | b;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        const entries = [];
+        counts.forEach((n, key) => entries.push([key >> 16, (key >> 8) & 0xFF, key & 0xFF, n]));
+        return entries;
+    }
+
+    /**
+     * Validate an RGBA image buffer
+     * @private
+     */
+    static _validateImage(pixels, width, height) {
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            throw new Error('Image dimensions must be positive integers');
+        }
+
+        if (!pixels || pixels.length !== width * height * 4) {
+            throw new Error('Pixel buffer length must be width × height × 4');
+        }
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} ColorQuantizer description
+     */
+    toString() {
+        return `ColorQuantizer(${this._palette.length} colors)`;
+    }
+}
+
+// Error diffusion kernels: [dx, dy, weight]
+ColorQuantizer.DIFFUSION_KERNELS = {
+    'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    // Atkinson diffuses only 6/8 of the error, trading accuracy for contrast
+    'atkinson': [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
\ No newline at end of file
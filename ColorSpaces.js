@@ -0,0 +1,600 @@
+/**
+ * ColorSpaces for SWCanvas
+ *
+ * Stateless color space conversion math shared by ColorParser and Color.
+ * All functions operate on plain [x, y, z] number arrays with floating point
+ * components so that no precision is lost between intermediate spaces.
+ *
+ * Conversion matrices and constants follow the CSS Color Module Level 4
+ * sample code, so results match what browsers compute for the same input.
+ *
+ * Supported spaces:
+ * - sRGB (gamma encoded, 0-1) and linear-light sRGB
+ * - Display-P3 and Rec.2020, gamma encoded and linear-light
+ * - CIE XYZ with D65 and D50 white points
+ * - CIE Lab / LCH (D50)
+ * - OKLab / OKLCH
+ * - HSL / HWB (sRGB-based cylindrical forms)
+ *
+ * Spaces are identified by their CSS color() names ('srgb', 'srgb-linear',
+ * 'display-p3', 'rec2020', 'xyz-d65', ...) in ColorSpaces.SPACES, and
+ * convert() moves between any two of them through XYZ D65.
+ */
+class ColorSpaces {
+    /**
+     * Multiply a 3x3 matrix by a 3-component vector
+     * @param {number[][]} m - Row-major 3x3 matrix
+     * @param {number[]} v - [x, y, z] vector
+     * @returns {number[]} Resulting vector
+     * @private
+     */
+    static _multiply(m, v) {
+        return [
+            m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+            m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+            m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+        ];
+    }
+
+    /**
+     * Convert a gamma-encoded sRGB channel to linear light
+     * Sign is preserved so out-of-gamut (negative) values survive round-trips.
+     * @param {number} c - Channel value (0-1 nominal range)
+     * @returns {number} Linear-light channel value
+     */
+    static srgbChannelToLinear(c) {
+        const abs = Math.abs(c);
+        if (abs <= 0.04045) {
+            return c / 12.92;
+        }
+        return Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Convert a linear-light channel to gamma-encoded sRGB
+     * @param {number} c - Linear-light channel value (0-1 nominal range)
+     * @returns {number} Gamma-encoded channel value
+     */
+    static linearChannelToSrgb(c) {
+        const abs = Math.abs(c);
+        if (abs <= 0.0031308) {
+            return c * 12.92;
+        }
+        return Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+    }
+
+    /**
+     * Convert a Rec.2020 encoded channel to linear light
+     * @param {number} c - Channel value (0-1 nominal range)
+     * @returns {number} Linear-light channel value
+     */
+    static rec2020ChannelToLinear(c) {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        const abs = Math.abs(c);
+        if (abs < beta * 4.5) {
+            return c / 4.5;
+        }
+        return Math.sign(c) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+    }
+
+    /**
+     * Convert a linear-light channel to Rec.2020 encoding
+     * @param {number} c - Linear-light channel value (0-1 nominal range)
+     * @returns {number} Encoded channel value
+     */
+    static linearChannelToRec2020(c) {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        const abs = Math.abs(c);
+        if (abs < beta) {
+            return c * 4.5;
+        }
+        return Math.sign(c) * (alpha * Math.pow(abs, 0.45) - (alpha - 1));
+    }
+
+    /**
+     * Convert color components between two named color spaces
+     * @param {number[]} values - Components in the source space
+     * @param {string} from - Source space name (see ColorSpaces.SPACES)
+     * @param {string} to - Destination space name
+     * @returns {number[]} Components in the destination space (not gamut mapped)
+     */
+    static convert(values, from, to) {
+        const source = ColorSpaces.getSpace(from);
+        const target = ColorSpaces.getSpace(to);
+        if (source === target) {
+            return values.slice();
+        }
+        return target.fromXyz(source.toXyz(values));
+    }
+
+    /**
+     * Look up a color space definition by name
+     * @param {string} name - Space name (see ColorSpaces.SPACES)
+     * @returns {Object} {toXyz, fromXyz, isRGB} definition
+     */
+    static getSpace(name) {
+        const space = Object.prototype.hasOwnProperty.call(ColorSpaces.SPACES, name) ? ColorSpaces.SPACES[name] : null;
+        if (!space) {
+            throw new Error(`Unknown color space: ${name}`);
+        }
+        return space;
+    }
+
+    /**
+     * Convert gamma-encoded sRGB to linear-light sRGB
+     * @param {number[]} rgb - [r, g, b] in 0-1 range
+     * @returns {number[]} Linear [r, g, b]
+     */
+    static srgbToLinear(rgb) {
+        return rgb.map(ColorSpaces.srgbChannelToLinear);
+    }
+
+    /**
+     * Convert linear-light sRGB to gamma-encoded sRGB
+     * @param {number[]} rgb - Linear [r, g, b]
+     * @returns {number[]} Gamma-encoded [r, g, b] in 0-1 range
+     */
+    static linearToSrgb(rgb) {
+        return rgb.map(ColorSpaces.linearChannelToSrgb);
+    }
+
+    /**
+     * Convert linear-light sRGB to CIE XYZ (D65)
+     * @param {number[]} rgb - Linear [r, g, b]
+     * @returns {number[]} [x, y, z]
+     */
+    static linearSrgbToXyz(rgb) {
+        return ColorSpaces._multiply(ColorSpaces.LINEAR_SRGB_TO_XYZ, rgb);
+    }
+
+    /**
+     * Convert CIE XYZ (D65) to linear-light sRGB
+     * @param {number[]} xyz - [x, y, z]
+     * @returns {number[]} Linear [r, g, b]
+     */
+    static xyzToLinearSrgb(xyz) {
+        return ColorSpaces._multiply(ColorSpaces.XYZ_TO_LINEAR_SRGB, xyz);
+    }
+
+    /**
+     * Chromatically adapt XYZ from D50 to D65 (Bradford)
+     * @param {number[]} xyz - XYZ relative to D50
+     * @returns {number[]} XYZ relative to D65
+     */
+    static xyzD50ToD65(xyz) {
+        return ColorSpaces._multiply(ColorSpaces.D50_TO_D65, xyz);
+    }
+
+    /**
+     * Chromatically adapt XYZ from D65 to D50 (Bradford)
+     * @param {number[]} xyz - XYZ relative to D65
+     * @returns {number[]} XYZ relative to D50
+     */
+    static xyzD65ToD50(xyz) {
+        return ColorSpaces._multiply(ColorSpaces.D65_TO_D50, xyz);
+    }
+
+    /**
+     * Convert CIE Lab to CIE XYZ (both D50)
+     * @param {number[]} lab - [L, a, b] with L in 0-100
+     * @returns {number[]} [x, y, z] relative to D50
+     */
+    static labToXyzD50(lab) {
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const white = ColorSpaces.D50_WHITE;
+
+        const f1 = (lab[0] + 16) / 116;
+        const f0 = lab[1] / 500 + f1;
+        const f2 = f1 - lab[2] / 200;
+
+        const x = Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa;
+        const y = lab[0] > kappa * epsilon ? Math.pow(f1, 3) : lab[0] / kappa;
+        const z = Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa;
+
+        return [x * white[0], y * white[1], z * white[2]];
+    }
+
+    /**
+     * Convert CIE XYZ (D50) to CIE Lab
+     * @param {number[]} xyz - [x, y, z] relative to D50
+     * @returns {number[]} [L, a, b]
+     */
+    static xyzD50ToLab(xyz) {
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const white = ColorSpaces.D50_WHITE;
+
+        const f = [0, 1, 2].map(i => {
+            const v = xyz[i] / white[i];
+            return v > epsilon ? Math.cbrt(v) : (kappa * v + 16) / 116;
+        });
+
+        return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+    }
+
+    /**
+     * Convert CIE XYZ (D65) to OKLab
+     * @param {number[]} xyz - [x, y, z] relative to D65
+     * @returns {number[]} [L, a, b] with L in 0-1
+     */
+    static xyzToOklab(xyz) {
+        const lms = ColorSpaces._multiply(ColorSpaces.XYZ_TO_OKLMS, xyz);
+        return ColorSpaces._multiply(ColorSpaces.OKLMS_TO_OKLAB, lms.map(Math.cbrt));
+    }
+
+    /**
+     * Convert OKLab to CIE XYZ (D65)
+     * @param {number[]} oklab - [L, a, b] with L in 0-1
+     * @returns {number[]} [x, y, z] relative to D65
+     */
+    static oklabToXyz(oklab) {
+        const lms = ColorSpaces._multiply(ColorSpaces.OKLAB_TO_OKLMS, oklab);
+        return ColorSpaces._multiply(ColorSpaces.OKLMS_TO_XYZ, lms.map(v => v * v * v));
+    }
+
+    /**
+     * Convert rectangular Lab-like coordinates to polar (LCH-like) form
+     * Works for both CIE Lab -> LCH and OKLab -> OKLCH.
+     * @param {number[]} lab - [L, a, b]
+     * @returns {number[]} [L, C, H] with H in degrees 0-360 (NaN when achromatic)
+     */
+    static labToLch(lab) {
+        const chroma = Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]);
+        let hue = NaN;
+        if (chroma > 1e-9) {
+            hue = Math.atan2(lab[2], lab[1]) * 180 / Math.PI;
+            if (hue < 0) hue += 360;
+        }
+        return [lab[0], chroma, hue];
+    }
+
+    /**
+     * Convert polar (LCH-like) coordinates to rectangular Lab-like form
+     * A NaN hue (powerless) is treated as 0.
+     * @param {number[]} lch - [L, C, H] with H in degrees
+     * @returns {number[]} [L, a, b]
+     */
+    static lchToLab(lch) {
+        const hue = isNaN(lch[2]) ? 0 : lch[2] * Math.PI / 180;
+        return [lch[0], lch[1] * Math.cos(hue), lch[1] * Math.sin(hue)];
+    }
+
+    /**
+     * Convert gamma-encoded sRGB to OKLab
+     * @param {number[]} rgb - [r, g, b] in 0-1 range
+     * @returns {number[]} [L, a, b]
+     */
+    static srgbToOklab(rgb) {
+        return ColorSpaces.xyzToOklab(ColorSpaces.linearSrgbToXyz(ColorSpaces.srgbToLinear(rgb)));
+    }
+
+    /**
+     * Convert OKLab to gamma-encoded sRGB (no gamut mapping)
+     * @param {number[]} oklab - [L, a, b]
+     * @returns {number[]} [r, g, b], possibly outside 0-1
+     */
+    static oklabToSrgb(oklab) {
+        return ColorSpaces.linearToSrgb(ColorSpaces.xyzToLinearSrgb(ColorSpaces.oklabToXyz(oklab)));
+    }
+
+    /**
+     * Convert CIE Lab (D50) to gamma-encoded sRGB (no gamut mapping)
+     * @param {number[]} lab - [L, a, b]
+     * @returns {number[]} [r, g, b], possibly outside 0-1
+     */
+    static labToSrgb(lab) {
+        const xyz = ColorSpaces.xyzD50ToD65(ColorSpaces.labToXyzD50(lab));
+        return ColorSpaces.linearToSrgb(ColorSpaces.xyzToLinearSrgb(xyz));
+    }
+
+    /**
+     * Convert HSL to gamma-encoded sRGB
+     * @param {number} h - Hue in degrees
+     * @param {number} s - Saturation (0-1)
+     * @param {number} l - Lightness (0-1)
+     * @returns {number[]} [r, g, b] in 0-1 range
+     */
+    static hslToSrgb(h, s, l) {
+        h = ((h % 360) + 360) % 360;
+        const f = n => {
+            const k = (n + h / 30) % 12;
+            const a = s * Math.min(l, 1 - l);
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [f(0), f(8), f(4)];
+    }
+
+    /**
+     * Convert gamma-encoded sRGB to HSL
+     * @param {number[]} rgb - [r, g, b] in 0-1 range
+     * @returns {number[]} [h, s, l] with h in degrees (NaN when achromatic), s and l in 0-1
+     */
+    static srgbToHsl(rgb) {
+        const [r, g, b] = rgb;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        let h = NaN;
+        let s = 0;
+
+        if (d !== 0) {
+            s = (l === 0 || l === 1) ? 0 : (max - l) / Math.min(l, 1 - l);
+            switch (max) {
+                case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+                case g: h = (b - r) / d + 2; break;
+                default: h = (r - g) / d + 4;
+            }
+            h *= 60;
+        }
+
+        return [h, s, l];
+    }
+
+    /**
+     * Convert HWB to gamma-encoded sRGB
+     * @param {number} h - Hue in degrees
+     * @param {number} w - Whiteness (0-1)
+     * @param {number} bl - Blackness (0-1)
+     * @returns {number[]} [r, g, b] in 0-1 range
+     */
+    static hwbToSrgb(h, w, bl) {
+        if (w + bl >= 1) {
+            const gray = w / (w + bl);
+            return [gray, gray, gray];
+        }
+        return ColorSpaces.hslToSrgb(h, 1, 0.5).map(c => c * (1 - w - bl) + w);
+    }
+
+    /**
+     * Check whether an RGB triple lies inside its space's gamut
+     * Applies to any RGB space (sRGB, Display-P3, Rec.2020, linear or encoded).
+     * @param {number[]} rgb - [r, g, b]
+     * @param {number} epsilon - Tolerance for rounding noise
+     * @returns {boolean} True if every channel is within 0-1
+     */
+    static isInGamut(rgb, epsilon = 1e-6) {
+        return rgb.every(c => c >= -epsilon && c <= 1 + epsilon);
+    }
+
+    /**
+     * Check whether a gamma-encoded sRGB triple lies inside the sRGB gamut
+     * @param {number[]} rgb - [r, g, b]
+     * @param {number} epsilon - Tolerance for rounding noise
+     * @returns {boolean} True if every channel is within 0-1
+     */
+    static isInSrgbGamut(rgb, epsilon = 1e-6) {
+        return ColorSpaces.isInGamut(rgb, epsilon);
+    }
+
+    /**
+     * Map an OKLCH color into the sRGB gamut
+     * @param {number[]} oklch - [L, C, H]
+     * @returns {number[]} Gamma-encoded [r, g, b], each within 0-1
+     */
+    static gamutMapOklchToSrgb(oklch) {
+        return ColorSpaces.gamutMapOklch(oklch, 'srgb');
+    }
+
+    /**
+     * Map an OKLCH color into the gamut of an RGB color space
+     *
+     * Implements the CSS Color 4 gamut mapping algorithm: chroma is reduced by
+     * binary search in OKLCH until the clipped result is within one just
+     * noticeable difference (deltaE OK < 0.02) of the reduced color.
+     *
+     * @param {number[]} oklch - [L, C, H]
+     * @param {string} space - Destination RGB space name ('srgb', 'display-p3', ...)
+     * @returns {number[]} [r, g, b] in the destination space, each within 0-1
+     */
+    static gamutMapOklch(oklch, space = 'srgb') {
+        if (!ColorSpaces.getSpace(space).isRGB) {
+            throw new Error(`Cannot gamut map into non-RGB space: ${space}`);
+        }
+
+        const clip = rgb => rgb.map(c => Math.max(0, Math.min(1, c)));
+        const lightness = oklch[0];
+
+        if (lightness >= 1) return ColorSpaces.convert([1, 1, 1], 'srgb', space).map(c => Math.min(1, c));
+        if (lightness <= 0) return [0, 0, 0];
+
+        const toRgb = lch => ColorSpaces.convert(lch, 'oklch', space);
+        const origin = toRgb(oklch);
+        if (ColorSpaces.isInGamut(origin)) {
+            return clip(origin);
+        }
+
+        const JND = 0.02;
+        const EPSILON = 0.0001;
+        const deltaEOK = (rgb, lab) => {
+            const clippedLab = ColorSpaces.convert(rgb, space, 'oklab');
+            const dL = clippedLab[0] - lab[0];
+            const dA = clippedLab[1] - lab[1];
+            const dB = clippedLab[2] - lab[2];
+            return Math.sqrt(dL * dL + dA * dA + dB * dB);
+        };
+
+        let current = [oklch[0], oklch[1], oklch[2]];
+        let clipped = clip(toRgb(current));
+        if (deltaEOK(clipped, ColorSpaces.lchToLab(current)) < JND) {
+            return clipped;
+        }
+
+        let min = 0;
+        let max = oklch[1];
+        let minInGamut = true;
+
+        while (max - min > EPSILON) {
+            const chroma = (min + max) / 2;
+            current = [oklch[0], chroma, oklch[2]];
+            const candidate = toRgb(current);
+
+            if (minInGamut && ColorSpaces.isInGamut(candidate)) {
+                min = chroma;
+                continue;
+            }
+
+            clipped = clip(candidate);
+            const error = deltaEOK(clipped, ColorSpaces.lchToLab(current));
+            if (error < JND) {
+                if (JND - error < EPSILON) {
+                    return clipped;
+                }
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+
+        return clipped;
+    }
+}
+
+// D50 reference white (CSS Color 4 uses the ICC-style chromaticity-derived value)
+ColorSpaces.D50_WHITE = [0.3457 / 0.3585, 1.0, (1.0 - 0.3457 - 0.3585) / 0.3585];
+
+// D65 reference white
+ColorSpaces.D65_WHITE = [0.3127 / 0.3290, 1.0, (1.0 - 0.3127 - 0.3290) / 0.3290];
+
+ColorSpaces.LINEAR_SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+ColorSpaces.XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+ColorSpaces.D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+ColorSpaces.D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+
+ColorSpaces.XYZ_TO_OKLMS = [
+    [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+];
+
+ColorSpaces.OKLMS_TO_OKLAB = [
+    [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+];
+
+ColorSpaces.OKLAB_TO_OKLMS = [
+    [1.0000000000000000, 0.3963377773761749, 0.2158037573099136],
+    [1.0000000000000000, -0.1055613458156586, -0.0638541728258133],
+    [1.0000000000000000, -0.0894841775298119, -1.2914855480194092]
+];
+
+ColorSpaces.OKLMS_TO_XYZ = [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+];
+
+ColorSpaces.LINEAR_P3_TO_XYZ = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0.0000000000000000, 0.04511338185890264, 1.043944368900976]
+];
+
+ColorSpaces.XYZ_TO_LINEAR_P3 = [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+];
+
+ColorSpaces.LINEAR_REC2020_TO_XYZ = [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0.0000000000000000, 0.028072693049087428, 1.060985057710791]
+];
+
+ColorSpaces.XYZ_TO_LINEAR_REC2020 = [
+    [1.716651187971268, -0.355670783776392, -0.253366281373660],
+    [-0.666684351832489, 1.616481236634939, 0.0157685458139111],
+    [0.017639857445311, -0.042770613257809, 0.942103121235474]
+];
+
+// Named color spaces: each converts to and from CIE XYZ (D65)
+ColorSpaces.SPACES = {
+    'srgb': {
+        isRGB: true,
+        toXyz: v => ColorSpaces.linearSrgbToXyz(ColorSpaces.srgbToLinear(v)),
+        fromXyz: xyz => ColorSpaces.linearToSrgb(ColorSpaces.xyzToLinearSrgb(xyz))
+    },
+    'srgb-linear': {
+        isRGB: true,
+        toXyz: v => ColorSpaces.linearSrgbToXyz(v),
+        fromXyz: xyz => ColorSpaces.xyzToLinearSrgb(xyz)
+    },
+    'display-p3': {
+        isRGB: true,
+        toXyz: v => ColorSpaces._multiply(ColorSpaces.LINEAR_P3_TO_XYZ, ColorSpaces.srgbToLinear(v)),
+        fromXyz: xyz => ColorSpaces.linearToSrgb(ColorSpaces._multiply(ColorSpaces.XYZ_TO_LINEAR_P3, xyz))
+    },
+    'display-p3-linear': {
+        isRGB: true,
+        toXyz: v => ColorSpaces._multiply(ColorSpaces.LINEAR_P3_TO_XYZ, v),
+        fromXyz: xyz => ColorSpaces._multiply(ColorSpaces.XYZ_TO_LINEAR_P3, xyz)
+    },
+    'rec2020': {
+        isRGB: true,
+        toXyz: v => ColorSpaces._multiply(ColorSpaces.LINEAR_REC2020_TO_XYZ, v.map(ColorSpaces.rec2020ChannelToLinear)),
+        fromXyz: xyz => ColorSpaces._multiply(ColorSpaces.XYZ_TO_LINEAR_REC2020, xyz).map(ColorSpaces.linearChannelToRec2020)
+    },
+    'rec2020-linear': {
+        isRGB: true,
+        toXyz: v => ColorSpaces._multiply(ColorSpaces.LINEAR_REC2020_TO_XYZ, v),
+        fromXyz: xyz => ColorSpaces._multiply(ColorSpaces.XYZ_TO_LINEAR_REC2020, xyz)
+    },
+    'xyz-d65': {
+        isRGB: false,
+        toXyz: v => v.slice(),
+        fromXyz: xyz => xyz.slice()
+    },
+    'xyz-d50': {
+        isRGB: false,
+        toXyz: v => ColorSpaces.xyzD50ToD65(v),
+        fromXyz: xyz => ColorSpaces.xyzD65ToD50(xyz)
+    },
+    'lab': {
+        isRGB: false,
+        toXyz: v => ColorSpaces.xyzD50ToD65(ColorSpaces.labToXyzD50(v)),
+        fromXyz: xyz => ColorSpaces.xyzD50ToLab(ColorSpaces.xyzD65ToD50(xyz))
+    },
+    'lch': {
+        isRGB: false,
+        toXyz: v => ColorSpaces.xyzD50ToD65(ColorSpaces.labToXyzD50(ColorSpaces.lchToLab(v))),
+        fromXyz: xyz => ColorSpaces.labToLch(ColorSpaces.xyzD50ToLab(ColorSpaces.xyzD65ToD50(xyz)))
+    },
+    'oklab': {
+        isRGB: false,
+        toXyz: v => ColorSpaces.oklabToXyz(v),
+        fromXyz: xyz => ColorSpaces.xyzToOklab(xyz)
+    },
+    'oklch': {
+        isRGB: false,
+        toXyz: v => ColorSpaces.oklabToXyz(ColorSpaces.lchToLab(v)),
+        fromXyz: xyz => ColorSpaces.labToLch(ColorSpaces.xyzToOklab(xyz))
+    }
+};
+
+// CSS color() alias
+ColorSpaces.SPACES['xyz'] = ColorSpaces.SPACES['xyz-d65'];
\ No newline at end of file
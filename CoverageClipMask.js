@@ -0,0 +1,245 @@
+/**
+ * CoverageClipMask class for SWCanvas
+ *
+ * Anti-aliased counterpart of ClipMask: stores a fractional clip coverage per
+ * pixel so clip edges are soft, as in browser canvases. Offers the same API
+ * as ClipMask, so each surface can choose between memory-lean 1-bit clipping
+ * and browser-matching soft clipping.
+ *
+ * Memory Layout:
+ * - Each pixel is represented by 1 byte (255 = visible, 0 = clipped)
+ * - Bytes are stored row by row in a Uint8Array
+ * - Memory usage: width × height bytes (8× a ClipMask)
+ */
+class CoverageClipMask {
+    /**
+     * Create a CoverageClipMask
+     * @param {number} width - Surface width in pixels
+     * @param {number} height - Surface height in pixels
+     */
+    constructor(width, height) {
+        if (typeof width !== 'number' || !Number.isInteger(width) || width <= 0) {
+            throw new Error('CoverageClipMask width must be a positive integer');
+        }
+
+        if (typeof height !== 'number' || !Number.isInteger(height) || height <= 0) {
+            throw new Error('CoverageClipMask height must be a positive integer');
+        }
+
+        // Default to 255 (no clipping by default)
+        this._coverage = new Uint8Array(width * height).fill(255);
+
+        // Make dimensions immutable
+        Object.defineProperty(this, 'width', { value: width, writable: false });
+        Object.defineProperty(this, 'height', { value: height, writable: false });
+    }
+
+    /**
+     * Create a CoverageClipMask from a 1-bit ClipMask
+     * @param {ClipMask} mask - Source mask; visible pixels get full coverage
+     * @returns {CoverageClipMask} Equivalent coverage mask
+     */
+    static fromClipMask(mask) {
+        if (!(mask instanceof ClipMask)) {
+            throw new Error('Argument must be a ClipMask instance');
+        }
+
+        const result = new CoverageClipMask(mask.width, mask.height);
+        const coverage = result._coverage;
+        coverage.fill(0);
+        for (let y = 0; y < mask.height; y++) {
+            const rowStart = y * mask.width;
+            for (const span of mask.getRowSpans(y)) {
+                coverage.fill(255, rowStart + span.x0, rowStart + span.x1);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Direct buffer access for hot-loop optimizations (dual-access pattern).
+     * @returns {Uint8Array} Per-pixel coverage bytes (0-255), row by row
+     */
+    get buffer() {
+        return this._coverage;
+    }
+
+    /**
+     * Get clip coverage for a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Coverage (0 = clipped, 1 = fully visible); 0 out of bounds
+     */
+    getPixel(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return 0;
+        }
+
+        return this._coverage[y * this.width + x] / 255;
+    }
+
+    /**
+     * Set clip coverage for a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number|boolean} coverage - Coverage (0-1), or true/false for visible/clipped
+     */
+    setPixel(x, y, coverage) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return; // Ignore out of bounds
+        }
+
+        this._coverage[y * this.width + x] = CoverageClipMask._toByte(coverage);
+    }
+
+    /**
+     * Convert a coverage value to a byte
+     * @private
+     */
+    static _toByte(coverage) {
+        if (typeof coverage === 'boolean') {
+            return coverage ? 255 : 0;
+        }
+
+        if (!(coverage > 0)) return 0;
+        if (coverage >= 1) return 255;
+        return Math.round(coverage * 255);
+    }
+
+    /**
+     * Check if a pixel is completely clipped (convenience method)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if pixel has zero coverage
+     */
+    isPixelClipped(x, y) {
+        return this.getPixel(x, y) === 0;
+    }
+
+    /**
+     * Clear all clipping (set all pixels to full coverage)
+     */
+    clear() {
+        this._coverage.fill(255);
+    }
+
+    /**
+     * Set all pixels to clipped state
+     */
+    clipAll() {
+        this._coverage.fill(0);
+    }
+
+    /**
+     * Intersect this clip mask with another by multiplying coverages
+     * A 1-bit ClipMask acts as coverage 0 or 1.
+     * @param {CoverageClipMask|ClipMask} other - Other clip mask to intersect with
+     */
+    intersectWith(other) {
+        if (!(other instanceof CoverageClipMask) && !(other instanceof ClipMask)) {
+            throw new Error('Argument must be a CoverageClipMask or ClipMask instance');
+        }
+
+        if (other.width !== this.width || other.height !== this.height) {
+            throw new Error('Clip mask dimensions must match for intersection');
+        }
+
+        const coverage = this._coverage;
+
+        if (other instanceof ClipMask) {
+            // Zero the gaps between visible spans of each row
+            for (let y = 0; y < this.height; y++) {
+                const rowStart = y * this.width;
+                let x = 0;
+                for (const span of other.getRowSpans(y)) {
+                    coverage.fill(0, rowStart + x, rowStart + span.x0);
+                    x = span.x1;
+                }
+                coverage.fill(0, rowStart + x, rowStart + this.width);
+            }
+            return;
+        }
+
+        const otherCoverage = other._coverage;
+        for (let i = 0; i < coverage.length; i++) {
+            const a = coverage[i];
+            if (a !== 0) {
+                coverage[i] = Math.round(a * otherCoverage[i] / 255);
+            }
+        }
+    }
+
+    /**
+     * Create a deep copy of this clip mask
+     * @returns {CoverageClipMask} New CoverageClipMask with copied data
+     */
+    clone() {
+        const clone = new CoverageClipMask(this.width, this.height);
+        clone._coverage.set(this._coverage);
+        return clone;
+    }
+
+    /**
+     * Create a clip pixel writer function for path rendering
+     * Unlike ClipMask, coverage is stored as-is, giving anti-aliased edges.
+     * @returns {Function} clipPixel function for coverage-based rendering
+     */
+    createPixelWriter() {
+        return (x, y, coverage) => {
+            this.setPixel(x, y, coverage);
+        };
+    }
+
+    /**
+     * Get memory usage in bytes
+     * @returns {number} Memory usage of the clip mask
+     */
+    getMemoryUsage() {
+        return this._coverage.byteLength;
+    }
+
+    /**
+     * Check if mask has any clipping (optimization)
+     * @returns {boolean} True if any pixel has less than full coverage
+     */
+    hasClipping() {
+        const coverage = this._coverage;
+        for (let i = 0; i < coverage.length; i++) {
+            if (coverage[i] !== 255) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} CoverageClipMask description
+     */
+    toString() {
+        const memoryKB = (this.getMemoryUsage() / 1024).toFixed(2);
+        const clippingStatus = this.hasClipping() ? 'with clipping' : 'no clipping';
+        return `CoverageClipMask(${this.width}×${this.height}, ${memoryKB}KB, ${clippingStatus})`;
+    }
+
+    /**
+     * Check equality with another CoverageClipMask
+     * @param {CoverageClipMask} other - Other CoverageClipMask to compare
+     * @returns {boolean} True if masks are identical
+     */
+    equals(other) {
+        if (!(other instanceof CoverageClipMask) ||
+            other.width !== this.width || other.height !== this.height) {
+            return false;
+        }
+
+        const a = this._coverage;
+        const b = other._coverage;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,558 @@
+/**
+ * Deflate class for SWCanvas
+ *
+ * Pure-JS zlib (RFC 1950) compression and decompression of DEFLATE (RFC 1951)
+ * streams, so mask images can be written and read as PNG without external
+ * libraries. Also provides the CRC-32 and Adler-32 checksums those formats use.
+ *
+ * Compression:
+ * - LZ77 with hash chains over a 32 KB window (greedy matching)
+ * - A single block with the fixed Huffman codes; falls back to stored blocks
+ *   when that would be larger than the input
+ * - Tuned for masks, whose repeated rows compress to long back-references
+ *
+ * Decompression supports stored, fixed and dynamic Huffman blocks, so files
+ * written by other tools can be read as well.
+ */
+class Deflate {
+    /**
+     * Compress bytes into a zlib stream
+     * @param {Uint8Array} data - Bytes to compress
+     * @returns {Uint8Array} zlib stream (header, DEFLATE data, Adler-32)
+     */
+    static deflate(data) {
+        if (!(data instanceof Uint8Array)) {
+            throw new Error('Deflate input must be a Uint8Array');
+        }
+
+        let body = Deflate._compressFixed(data);
+        const storedLength = data.length + 5 * Math.max(1, Math.ceil(data.length / 65535));
+        if (body.length > storedLength) {
+            body = Deflate._compressStored(data);
+        }
+
+        const output = new Uint8Array(body.length + 6);
+        output[0] = 0x78; // CM = 8 (deflate), CINFO = 7 (32 KB window)
+        output[1] = 0x01; // No dictionary, check bits make the header a multiple of 31
+        output.set(body, 2);
+        Deflate._writeUint32(output, body.length + 2, Deflate.adler32(data));
+        return output;
+    }
+
+    /**
+     * Decompress a zlib stream
+     * @param {Uint8Array} data - zlib stream
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    static inflate(data) {
+        if (!(data instanceof Uint8Array)) {
+            throw new Error('Inflate input must be a Uint8Array');
+        }
+
+        if (data.length < 6) {
+            throw new Error('Invalid zlib stream: too short');
+        }
+
+        const cmf = data[0];
+        const flg = data[1];
+        if ((cmf & 0x0F) !== 8 || (cmf >> 4) > 7 || (cmf * 256 + flg) % 31 !== 0) {
+            throw new Error('Invalid zlib stream: bad header');
+        }
+
+        if (flg & 0x20) {
+            throw new Error('Invalid zlib stream: preset dictionaries are not supported');
+        }
+
+        const { output, end } = Deflate._inflateRaw(data, 2);
+        if (end + 4 > data.length) {
+            throw new Error('Invalid zlib stream: missing checksum');
+        }
+
+        if (Deflate._readUint32(data, end) !== Deflate.adler32(output)) {
+            throw new Error('Invalid zlib stream: checksum mismatch');
+        }
+
+        return output;
+    }
+
+    /**
+     * Compute the CRC-32 of a byte range (as used by PNG chunks)
+     * @param {Uint8Array} data - Bytes
+     * @param {number} start - First byte (inclusive, default 0)
+     * @param {number} end - Last byte (exclusive, default data.length)
+     * @returns {number} Unsigned 32-bit CRC
+     */
+    static crc32(data, start = 0, end = data.length) {
+        const table = Deflate._CRC_TABLE;
+        let crc = 0xFFFFFFFF;
+        for (let i = start; i < end; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Compute the Adler-32 checksum of bytes (as used by zlib)
+     * @param {Uint8Array} data - Bytes
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    static adler32(data) {
+        let a = 1, b = 0;
+        let i = 0;
+        while (i < data.length) {
+            // 5552 is the largest block that cannot overflow before the modulo
+            const end = Math.min(i + 5552, data.length);
+            for (; i < end; i++) {
+                a += data[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * Compress into one fixed-Huffman block with LZ77 back-references
+     * @private
+     */
+    static _compressFixed(data) {
+        const writer = Deflate._createBitWriter(data.length + 64);
+        const literalCodes = Deflate._FIXED_LITERAL_CODES;
+        const literalLengths = Deflate._FIXED_LITERAL_LENGTHS;
+
+        writer.write(1, 1); // BFINAL
+        writer.write(1, 2); // BTYPE = 01 (fixed Huffman)
+
+        const windowSize = 32768;
+        const hashBits = 15;
+        const head = new Int32Array(1 << hashBits).fill(-1);
+        const prev = new Int32Array(windowSize);
+        const hashAt = i => Math.imul((data[i] << 16) | (data[i + 1] << 8) | data[i + 2], 0x9E3779B1) >>> (32 - hashBits);
+        const insert = i => {
+            if (i + 2 < data.length) {
+                const h = hashAt(i);
+                prev[i & (windowSize - 1)] = head[h];
+                head[h] = i;
+            }
+        };
+
+        let pos = 0;
+        while (pos < data.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+
+            if (pos + 2 < data.length) {
+                const maxLength = Math.min(258, data.length - pos);
+                let candidate = head[hashAt(pos)];
+                for (let chain = 0; chain < Deflate.MAX_CHAIN && candidate >= 0 && pos - candidate <= windowSize; chain++) {
+                    if (data[candidate + bestLength] === data[pos + bestLength]) {
+                        let length = 0;
+                        while (length < maxLength && data[candidate + length] === data[pos + length]) {
+                            length++;
+                        }
+                        if (length > bestLength) {
+                            bestLength = length;
+                            bestDistance = pos - candidate;
+                            if (length === maxLength) {
+                                break;
+                            }
+                        }
+                    }
+                    candidate = prev[candidate & (windowSize - 1)];
+                }
+            }
+
+            if (bestLength >= 3) {
+                const lengthCode = Deflate._findCode(Deflate._LENGTH_BASE, bestLength);
+                const symbol = 257 + lengthCode;
+                writer.write(literalCodes[symbol], literalLengths[symbol]);
+                writer.write(bestLength - Deflate._LENGTH_BASE[lengthCode], Deflate._LENGTH_EXTRA[lengthCode]);
+
+                const distanceCode = Deflate._findCode(Deflate._DISTANCE_BASE, bestDistance);
+                writer.write(Deflate._reverseBits(distanceCode, 5), 5);
+                writer.write(bestDistance - Deflate._DISTANCE_BASE[distanceCode], Deflate._DISTANCE_EXTRA[distanceCode]);
+
+                for (let i = 0; i < bestLength; i++) {
+                    insert(pos + i);
+                }
+                pos += bestLength;
+            } else {
+                writer.write(literalCodes[data[pos]], literalLengths[data[pos]]);
+                insert(pos);
+                pos++;
+            }
+        }
+
+        writer.write(literalCodes[256], literalLengths[256]); // End of block
+        return writer.finish();
+    }
+
+    /**
+     * Wrap data in stored (uncompressed) blocks of up to 65535 bytes
+     * @private
+     */
+    static _compressStored(data) {
+        const blockCount = Math.max(1, Math.ceil(data.length / 65535));
+        const output = new Uint8Array(data.length + blockCount * 5);
+        let offset = 0;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * 65535;
+            const length = Math.min(65535, data.length - start);
+            output[offset++] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE = 00
+            output[offset++] = length & 0xFF;
+            output[offset++] = length >> 8;
+            output[offset++] = ~length & 0xFF;
+            output[offset++] = (~length >> 8) & 0xFF;
+            output.set(data.subarray(start, start + length), offset);
+            offset += length;
+        }
+        return output;
+    }
+
+    /**
+     * Decode raw DEFLATE blocks starting at a byte offset
+     * @returns {Object} {output, end} with end the byte offset after the last block
+     * @private
+     */
+    static _inflateRaw(data, offset) {
+        let pos = offset;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const bits = count => {
+            while (bitCount < count) {
+                if (pos >= data.length) {
+                    throw new Error('Invalid deflate data: unexpected end of input');
+                }
+                bitBuffer |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+        const decode = table => {
+            // Canonical Huffman decoding, one bit at a time (codes are stored MSB first)
+            let code = 0, first = 0, index = 0;
+            for (let length = 1; length <= 15; length++) {
+                code |= bits(1);
+                const count = table.count[length];
+                if (code - first < count) {
+                    return table.symbol[index + code - first];
+                }
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid deflate data: bad Huffman code');
+        };
+
+        let output = new Uint8Array(Math.max(1024, data.length * 4));
+        let outLength = 0;
+        const ensure = extra => {
+            if (outLength + extra > output.length) {
+                const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+                grown.set(output.subarray(0, outLength));
+                output = grown;
+            }
+        };
+
+        let final = 0;
+        while (!final) {
+            final = bits(1);
+            const type = bits(2);
+
+            if (type === 0) {
+                // Stored block: discard to the byte boundary, then LEN and NLEN
+                bitBuffer = 0;
+                bitCount = 0;
+                if (pos + 4 > data.length) {
+                    throw new Error('Invalid deflate data: unexpected end of input');
+                }
+                const length = data[pos] | (data[pos + 1] << 8);
+                const complement = data[pos + 2] | (data[pos + 3] << 8);
+                if (length !== (~complement & 0xFFFF)) {
+                    throw new Error('Invalid deflate data: stored block length mismatch');
+                }
+                pos += 4;
+                if (pos + length > data.length) {
+                    throw new Error('Invalid deflate data: unexpected end of input');
+                }
+                ensure(length);
+                output.set(data.subarray(pos, pos + length), outLength);
+                outLength += length;
+                pos += length;
+                continue;
+            }
+
+            let literalTable, distanceTable;
+            if (type === 1) {
+                literalTable = Deflate._FIXED_LITERAL_TABLE;
+                distanceTable = Deflate._FIXED_DISTANCE_TABLE;
+            } else if (type === 2) {
+                ({ literalTable, distanceTable } = Deflate._readDynamicTables(bits, decode));
+            } else {
+                throw new Error('Invalid deflate data: reserved block type');
+            }
+
+            for (;;) {
+                const symbol = decode(literalTable);
+                if (symbol < 256) {
+                    ensure(1);
+                    output[outLength++] = symbol;
+                    continue;
+                }
+                if (symbol === 256) {
+                    break;
+                }
+
+                const lengthCode = symbol - 257;
+                if (lengthCode >= 29) {
+                    throw new Error('Invalid deflate data: bad length code');
+                }
+                const length = Deflate._LENGTH_BASE[lengthCode] + bits(Deflate._LENGTH_EXTRA[lengthCode]);
+
+                const distanceCode = decode(distanceTable);
+                if (distanceCode >= 30) {
+                    throw new Error('Invalid deflate data: bad distance code');
+                }
+                const distance = Deflate._DISTANCE_BASE[distanceCode] + bits(Deflate._DISTANCE_EXTRA[distanceCode]);
+                if (distance > outLength) {
+                    throw new Error('Invalid deflate data: distance too far back');
+                }
+
+                ensure(length);
+                // Byte by byte, since a match may overlap the bytes it produces
+                for (let i = 0; i < length; i++) {
+                    output[outLength] = output[outLength - distance];
+                    outLength++;
+                }
+            }
+        }
+
+        return { output: output.slice(0, outLength), end: pos };
+    }
+
+    /**
+     * Read the code length tables of a dynamic Huffman block
+     * @private
+     */
+    static _readDynamicTables(bits, decode) {
+        const literalCount = bits(5) + 257;
+        const distanceCount = bits(5) + 1;
+        const codeLengthCount = bits(4) + 4;
+        if (literalCount > 286 || distanceCount > 30) {
+            throw new Error('Invalid deflate data: too many codes');
+        }
+
+        const codeLengthLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[Deflate._CODE_LENGTH_ORDER[i]] = bits(3);
+        }
+        const codeLengthTable = Deflate._buildTable(codeLengthLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        let index = 0;
+        while (index < lengths.length) {
+            const symbol = decode(codeLengthTable);
+            if (symbol < 16) {
+                lengths[index++] = symbol;
+                continue;
+            }
+
+            let value = 0;
+            let repeat;
+            if (symbol === 16) {
+                if (index === 0) {
+                    throw new Error('Invalid deflate data: repeat with no previous length');
+                }
+                value = lengths[index - 1];
+                repeat = 3 + bits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + bits(3);
+            } else {
+                repeat = 11 + bits(7);
+            }
+
+            if (index + repeat > lengths.length) {
+                throw new Error('Invalid deflate data: too many code lengths');
+            }
+            lengths.fill(value, index, index + repeat);
+            index += repeat;
+        }
+
+        if (lengths[256] === 0) {
+            throw new Error('Invalid deflate data: missing end-of-block code');
+        }
+
+        return {
+            literalTable: Deflate._buildTable(lengths.subarray(0, literalCount)),
+            distanceTable: Deflate._buildTable(lengths.subarray(literalCount))
+        };
+    }
+
+    /**
+     * Build a canonical Huffman decoding table from code lengths
+     * @param {ArrayLike<number>} lengths - Code length per symbol (0 = unused)
+     * @returns {Object} {count, symbol}: codes per length and symbols in code order
+     * @private
+     */
+    static _buildTable(lengths) {
+        const count = new Uint16Array(16);
+        for (let i = 0; i < lengths.length; i++) {
+            count[lengths[i]]++;
+        }
+        count[0] = 0;
+
+        // Reject over-subscribed code sets (incomplete ones are allowed)
+        let left = 1;
+        for (let length = 1; length <= 15; length++) {
+            left = (left << 1) - count[length];
+            if (left < 0) {
+                throw new Error('Invalid deflate data: over-subscribed Huffman code');
+            }
+        }
+
+        const offsets = new Uint16Array(16);
+        for (let length = 1; length < 15; length++) {
+            offsets[length + 1] = offsets[length] + count[length];
+        }
+
+        const symbol = new Uint16Array(lengths.length);
+        for (let i = 0; i < lengths.length; i++) {
+            if (lengths[i] !== 0) {
+                symbol[offsets[lengths[i]]++] = i;
+            }
+        }
+
+        return { count, symbol };
+    }
+
+    /**
+     * Create an LSB-first bit writer backed by a growable byte array
+     * @private
+     */
+    static _createBitWriter(initialSize) {
+        let output = new Uint8Array(initialSize);
+        let length = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const push = byte => {
+            if (length === output.length) {
+                const grown = new Uint8Array(output.length * 2);
+                grown.set(output);
+                output = grown;
+            }
+            output[length++] = byte;
+        };
+
+        return {
+            write(value, count) {
+                bitBuffer |= value << bitCount;
+                bitCount += count;
+                while (bitCount >= 8) {
+                    push(bitBuffer & 0xFF);
+                    bitBuffer >>>= 8;
+                    bitCount -= 8;
+                }
+            },
+            finish() {
+                if (bitCount > 0) {
+                    push(bitBuffer & 0xFF);
+                    bitBuffer = 0;
+                    bitCount = 0;
+                }
+                return output.slice(0, length);
+            }
+        };
+    }
+
+    /**
+     * Find the code whose base value range contains a length or distance
+     * @private
+     */
+    static _findCode(bases, value) {
+        let code = bases.length - 1;
+        while (bases[code] > value) {
+            code--;
+        }
+        return code;
+    }
+
+    /**
+     * Reverse the lowest bits of a value (Huffman codes are written MSB first)
+     * @private
+     */
+    static _reverseBits(value, count) {
+        let result = 0;
+        for (let i = 0; i < count; i++) {
+            result = (result << 1) | ((value >> i) & 1);
+        }
+        return result;
+    }
+
+    /**
+     * Read a big-endian unsigned 32-bit integer
+     * @private
+     */
+    static _readUint32(data, offset) {
+        return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+    }
+
+    /**
+     * Write a big-endian unsigned 32-bit integer
+     * @private
+     */
+    static _writeUint32(data, offset, value) {
+        data[offset] = value >>> 24;
+        data[offset + 1] = (value >>> 16) & 0xFF;
+        data[offset + 2] = (value >>> 8) & 0xFF;
+        data[offset + 3] = value & 0xFF;
+    }
+}
+
+// Hash chain candidates examined per position when searching for matches
+Deflate.MAX_CHAIN = 64;
+
+// Length codes 257-285 and distance codes 0-29 (RFC 1951 section 3.2.5)
+Deflate._LENGTH_BASE = Object.freeze([
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+]);
+Deflate._LENGTH_EXTRA = Object.freeze([
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+]);
+Deflate._DISTANCE_BASE = Object.freeze([
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+]);
+Deflate._DISTANCE_EXTRA = Object.freeze([
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+]);
+
+// Order in which code length code lengths are stored in dynamic blocks
+Deflate._CODE_LENGTH_ORDER = Object.freeze([16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]);
+
+// Fixed Huffman code lengths: 8, 9, 7 and 8 bits for literal/length
+// symbols 0-143, 144-255, 256-279 and 280-287; 5 bits for distances
+Deflate._FIXED_LITERAL_LENGTHS = Object.freeze(Array.from({ length: 288 }, (_, i) =>
+    i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8));
+Deflate._FIXED_LITERAL_CODES = Object.freeze(Array.from({ length: 288 }, (_, i) => {
+    const code = i < 144 ? 0x30 + i : i < 256 ? 0x190 + i - 144 : i < 280 ? i - 256 : 0xC0 + i - 280;
+    return Deflate._reverseBits(code, Deflate._FIXED_LITERAL_LENGTHS[i]);
+}));
+Deflate._FIXED_LITERAL_TABLE = Deflate._buildTable(Deflate._FIXED_LITERAL_LENGTHS);
+Deflate._FIXED_DISTANCE_TABLE = Deflate._buildTable(new Array(30).fill(5));
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+Deflate._CRC_TABLE = Object.freeze(Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+}));
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * FloatColor class for SWCanvas
+ *
+ * Color-space aware color with floating point components, the high precision
+ * companion to the 8-bit premultiplied sRGB Color. Immutable value object.
+ *
+ * Components are stored non-premultiplied in the nominal 0-1 range of their
+ * space (values outside 0-1 are allowed and represent out-of-gamut colors),
+ * alpha is 0-1. Supported spaces are the names in ColorSpaces.SPACES:
+ * 'srgb', 'srgb-linear', 'display-p3', 'display-p3-linear', 'rec2020',
+ * 'rec2020-linear', 'xyz-d65', 'xyz-d50', 'lab', 'lch', 'oklab' and 'oklch'.
+ *
+ * Blending happens in a chosen RGB space, so callers can composite in linear
+ * light to avoid the darkened midpoints of gamma-space blending, and keep
+ * Display-P3 content unclipped for canvases created with
+ * `colorSpace: 'display-p3'`.
+ */
+class FloatColor {
+    /**
+     * Create a FloatColor instance
+     * @param {number} c0 - First component (e.g. red)
+     * @param {number} c1 - Second component (e.g. green)
+     * @param {number} c2 - Third component (e.g. blue)
+     * @param {number} alpha - Alpha component (0-1)
+     * @param {string} space - Color space name
+     */
+    constructor(c0, c1, c2, alpha = 1, space = 'srgb') {
+        // A polar space's hue may be NaN, meaning powerless (achromatic color)
+        const hueMayBeNaN = FloatColor.POLAR_SPACES.includes(space) && Number.isNaN(c2);
+        if (![c0, c1, hueMayBeNaN ? 0 : c2, alpha].every(v => typeof v === 'number' && isFinite(v))) {
+            throw new Error('FloatColor components must be finite numbers');
+        }
+
+        if (alpha < 0 || alpha > 1) {
+            throw new Error('FloatColor alpha must be in range 0-1');
+        }
+
+        // Validates the space name
+        ColorSpaces.getSpace(space);
+
+        this._components = [c0, c1, c2];
+        this._alpha = alpha;
+        this._space = space;
+
+        // Make color immutable
+        Object.freeze(this._components);
+        Object.freeze(this);
+    }
+
+    /**
+     * Create a FloatColor from an 8-bit Color
+     *
+     * The Color's channels are interpreted as encoded in `encoding`, which is
+     * 'srgb' for ordinary surfaces and 'display-p3' for Display-P3 surfaces.
+     * @param {Color} color - Source color
+     * @param {string} encoding - RGB space the 8-bit channels are encoded in
+     * @returns {FloatColor} Equivalent FloatColor in the `encoding` space
+     */
+    static fromColor(color, encoding = 'srgb') {
+        if (!(color instanceof Color)) {
+            throw new Error('Argument must be a Color instance');
+        }
+
+        if (!ColorSpaces.getSpace(encoding).isRGB) {
+            throw new Error(`Color encoding must be an RGB space, got ${encoding}`);
+        }
+
+        // Un-premultiply in floating point to avoid the 8-bit getter rounding
+        const a = color.premultipliedA;
+        const unpremultiply = v => a === 0 ? 0 : v / a;
+        return new FloatColor(
+            unpremultiply(color.premultipliedR),
+            unpremultiply(color.premultipliedG),
+            unpremultiply(color.premultipliedB),
+            a / 255,
+            encoding
+        );
+    }
+
+    // Getters
+    get space() { return this._space; }
+    get alpha() { return this._alpha; }
+
+    /**
+     * Get the color components (non-premultiplied)
+     * @returns {number[]} [c0, c1, c2]
+     */
+    get components() {
+        return this._components.slice();
+    }
+
+    /**
+     * Get premultiplied components
+     * @returns {number[]} [c0 × alpha, c1 × alpha, c2 × alpha, alpha]
+     */
+    toPremultiplied() {
+        const [c0, c1, c2] = this._components;
+        const a = this._alpha;
+        return [c0 * a, c1 * a, c2 * a, a];
+    }
+
+    /**
+     * Convert to another color space (immutable)
+     * @param {string} space - Destination space name
+     * @returns {FloatColor} Converted color (not gamut mapped)
+     */
+    to(space) {
+        if (space === this._space) {
+            return this;
+        }
+        const [c0, c1, c2] = ColorSpaces.convert(this._components, this._space, space);
+        return new FloatColor(c0, c1, c2, this._alpha, space);
+    }
+
+    /**
+     * Check whether the color fits inside an RGB space's gamut
+     * @param {string} space - RGB space name, defaults to sRGB
+     * @returns {boolean} True if all channels are within 0-1 in that space
+     */
+    isInGamut(space = 'srgb') {
+        if (!ColorSpaces.getSpace(space).isRGB) {
+            throw new Error(`Gamut checks require an RGB space, got ${space}`);
+        }
+        return ColorSpaces.isInGamut(this.to(space)._components);
+    }
+
+    /**
+     * Bring the color into an RGB space's gamut (immutable)
+     * @param {string} space - RGB space name, defaults to sRGB
+     * @param {string} method - 'css' (CSS Color 4 OKLCH chroma reduction) or 'clip'
+     * @returns {FloatColor} In-gamut color in `space`
+     */
+    toGamut(space = 'srgb', method = 'css') {
+        const converted = this.to(space);
+        if (ColorSpaces.isInGamut(converted._components, 0)) {
+            return converted;
+        }
+
+        let rgb;
+        if (method === 'clip') {
+            rgb = converted._components.map(c => Math.max(0, Math.min(1, c)));
+        } else if (method === 'css') {
+            rgb = ColorSpaces.gamutMapOklch(this.to('oklch')._components, space);
+        } else {
+            throw new Error(`Unknown gamut mapping method: ${method}`);
+        }
+        return new FloatColor(rgb[0], rgb[1], rgb[2], this._alpha, space);
+    }
+
+    /**
+     * Convert to an 8-bit premultiplied Color
+     *
+     * The result is gamut mapped into `encoding` and quantized. Use 'srgb'
+     * for ordinary surfaces and 'display-p3' for Display-P3 surfaces, whose
+     * pixel buffers store P3-encoded 8-bit channels.
+     * @param {string} encoding - RGB space for the 8-bit channels
+     * @returns {Color} New Color instance
+     */
+    toColor(encoding = 'srgb') {
+        const [r, g, b] = this.toGamut(encoding)._components;
+        const to255 = c => Math.round(Math.max(0, Math.min(1, c)) * 255);
+        return new Color(to255(r), to255(g), to255(b), Math.round(this._alpha * 255), false);
+    }
+
+    /**
+     * Blend this color over another using source-over composition
+     *
+     * Both colors are converted to `blendSpace`, which must be an RGB space,
+     * and composited there in premultiplied form. Pass 'srgb-linear' (or
+     * 'display-p3-linear') to blend in linear light.
+     * @param {FloatColor} background - Background color to blend over
+     * @param {string} blendSpace - RGB space to blend in, defaults to this color's space
+     * @returns {FloatColor} Blended color in `blendSpace`
+     */
+    blendOver(background, blendSpace = this._space) {
+        if (!(background instanceof FloatColor)) {
+            throw new Error('Argument must be a FloatColor instance');
+        }
+
+        if (!ColorSpaces.getSpace(blendSpace).isRGB) {
+            throw new Error(`Blending requires an RGB space, got ${blendSpace}`);
+        }
+
+        const src = this.to(blendSpace);
+        const dst = background.to(blendSpace);
+
+        if (src._alpha === 1) {
+            return src;
+        }
+
+        if (src._alpha === 0) {
+            return dst;
+        }
+
+        const [sr, sg, sb, sa] = src.toPremultiplied();
+        const [dr, dg, db, da] = dst.toPremultiplied();
+        const inv = 1 - sa;
+        const outA = sa + da * inv;
+
+        if (outA === 0) {
+            return new FloatColor(0, 0, 0, 0, blendSpace);
+        }
+
+        return new FloatColor(
+            (sr + dr * inv) / outA,
+            (sg + dg * inv) / outA,
+            (sb + db * inv) / outA,
+            outA,
+            blendSpace
+        );
+    }
+
+    /**
+     * Interpolate between this color and another (immutable)
+     *
+     * Follows CSS Color 4 interpolation: both colors are converted to `space`,
+     * non-hue components are premultiplied by alpha, interpolated linearly and
+     * divided by the interpolated alpha, the same way canvas gradients
+     * interpolate. Polar spaces ('lch', 'oklch') interpolate hue using
+     * `hueMethod`; a powerless (achromatic) hue takes the other color's hue.
+     *
+     * @param {FloatColor} other - Color to interpolate towards
+     * @param {number} t - Interpolation amount (0 = this, 1 = other)
+     * @param {string} space - Interpolation space name ('srgb', 'srgb-linear', 'oklab', 'oklch', ...)
+     * @param {string} hueMethod - 'shorter', 'longer', 'increasing' or 'decreasing'
+     * @returns {FloatColor} Interpolated color in `space`
+     */
+    mix(other, t, space = this._space, hueMethod = 'shorter') {
+        if (!(other instanceof FloatColor)) {
+            throw new Error('Argument must be a FloatColor instance');
+        }
+
+        if (!FloatColor.HUE_METHODS.includes(hueMethod)) {
+            throw new Error(`Unknown hue interpolation method: ${hueMethod}`);
+        }
+
+        const a = this.to(space);
+        const b = other.to(space);
+        const c0 = a._components.slice();
+        const c1 = b._components.slice();
+        const hueIndex = FloatColor.POLAR_SPACES.includes(space) ? 2 : -1;
+
+        if (hueIndex !== -1) {
+            let h0 = c0[hueIndex];
+            let h1 = c1[hueIndex];
+            if (isNaN(h0)) h0 = isNaN(h1) ? 0 : h1;
+            if (isNaN(h1)) h1 = h0;
+            h0 = ((h0 % 360) + 360) % 360;
+            h1 = ((h1 % 360) + 360) % 360;
+
+            const delta = h1 - h0;
+            switch (hueMethod) {
+                case 'shorter':
+                    if (delta > 180) h0 += 360;
+                    else if (delta < -180) h1 += 360;
+                    break;
+                case 'longer':
+                    if (delta > 0 && delta < 180) h0 += 360;
+                    else if (delta > -180 && delta <= 0) h1 += 360;
+                    break;
+                case 'increasing':
+                    if (h1 < h0) h1 += 360;
+                    break;
+                case 'decreasing':
+                    if (h0 < h1) h0 += 360;
+                    break;
+            }
+            c0[hueIndex] = h0;
+            c1[hueIndex] = h1;
+        }
+
+        const alpha = a._alpha + (b._alpha - a._alpha) * t;
+        const result = [0, 1, 2].map(i => {
+            if (i === hueIndex) {
+                const hue = c0[i] + (c1[i] - c0[i]) * t;
+                return ((hue % 360) + 360) % 360;
+            }
+            const premultiplied = c0[i] * a._alpha + (c1[i] * b._alpha - c0[i] * a._alpha) * t;
+            return alpha === 0 ? 0 : premultiplied / alpha;
+        });
+
+        return new FloatColor(result[0], result[1], result[2], Math.max(0, Math.min(1, alpha)), space);
+    }
+
+    /**
+     * Serialize as a CSS color() function, e.g. `color(display-p3 1 0 0 / 0.5)`
+     * Only spaces that CSS color() accepts can be serialized this way.
+     * @returns {string} CSS color string
+     */
+    toCSS() {
+        if (!FloatColor.CSS_COLOR_FUNCTION_SPACES.includes(this._space)) {
+            throw new Error(`Color space ${this._space} cannot be serialized with color()`);
+        }
+        const format = v => String(+v.toFixed(6));
+        const body = `${this._space} ${this._components.map(format).join(' ')}`;
+        return this._alpha === 1 ? `color(${body})` : `color(${body} / ${format(this._alpha)})`;
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} FloatColor description
+     */
+    toString() {
+        return `FloatColor(${this._space}: ${this._components.join(', ')}, ${this._alpha})`;
+    }
+
+    /**
+     * Check equality with another FloatColor
+     * @param {FloatColor} other - Color to compare with
+     * @param {number} tolerance - Floating point tolerance
+     * @returns {boolean} True if same space and components within tolerance
+     */
+    equals(other, tolerance = 1e-6) {
+        return other instanceof FloatColor &&
+            this._space === other._space &&
+            Math.abs(this._alpha - other._alpha) < tolerance &&
+            this._components.every((c, i) => Math.abs(c - other._components[i]) < tolerance);
+    }
+}
+
+// Spaces accepted by the CSS color() function
+FloatColor.CSS_COLOR_FUNCTION_SPACES = Object.freeze([
+    'srgb', 'srgb-linear', 'display-p3', 'rec2020', 'xyz-d65', 'xyz-d50'
+]);
+
+// Spaces whose third component is a hue angle
+FloatColor.POLAR_SPACES = Object.freeze(['lch', 'oklch']);
+
+// CSS Color 4 hue interpolation methods
+FloatColor.HUE_METHODS = Object.freeze(['shorter', 'longer', 'increasing', 'decreasing']);
\ No newline at end of file
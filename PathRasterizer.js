@@ -0,0 +1,207 @@
+/**
+ * PathRasterizer class for SWCanvas
+ *
+ * Scan-converts flattened paths into ClipMasks with the canvas fill rules.
+ * Subpaths are arrays of user-space points, implicitly closed as canvas
+ * fill() and clip() close them, and are mapped to device space through a
+ * Transform2D before rasterization.
+ *
+ * Sampling rules:
+ * - A pixel is inside when its center (x + 0.5, y + 0.5) is inside the path
+ * - Edges are half-open in Y (top inclusive, bottom exclusive), so shared
+ *   vertices and adjacent shapes are never counted twice
+ * - Shapes may extend past the surface; crossings left of the surface still
+ *   count toward the winding number, and spans are clamped afterwards
+ * - Self-intersecting contours are resolved per scanline by winding number
+ *   ('nonzero') or crossing parity ('evenodd')
+ */
+class PathRasterizer {
+    /**
+     * Create a PathRasterizer for a surface size
+     * @param {number} width - Surface width in pixels
+     * @param {number} height - Surface height in pixels
+     */
+    constructor(width, height) {
+        if (typeof width !== 'number' || !Number.isInteger(width) || width <= 0) {
+            throw new Error('PathRasterizer width must be a positive integer');
+        }
+
+        if (typeof height !== 'number' || !Number.isInteger(height) || height <= 0) {
+            throw new Error('PathRasterizer height must be a positive integer');
+        }
+
+        Object.defineProperty(this, 'width', { value: width, writable: false });
+        Object.defineProperty(this, 'height', { value: height, writable: false });
+    }
+
+    /**
+     * Visit the inside spans of a path, row by row from the top
+     * @param {Object[][]} subpaths - Arrays of user-space points {x, y}
+     * @param {Transform2D} transform - User-to-device transform
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @param {Function} callback - Called as callback(y, x0, x1) with x1 exclusive
+     */
+    forEachSpan(subpaths, transform, fillRule, callback) {
+        if (!PathRasterizer.FILL_RULES.includes(fillRule)) {
+            throw new Error(`Unknown fill rule: ${fillRule}`);
+        }
+
+        const edges = this._buildEdges(subpaths, transform);
+        if (edges.length === 0) {
+            return;
+        }
+
+        const evenOdd = fillRule === 'evenodd';
+        // Rows whose sample line y + 0.5 lies within [top, bottom) of some edge
+        const bottom = edges.reduce((max, edge) => Math.max(max, edge.bottom), -Infinity);
+        const firstRow = Math.max(0, Math.ceil(edges[0].top - 0.5));
+        const lastRow = Math.min(this.height, Math.ceil(bottom - 0.5));
+
+        const active = [];
+        const crossings = [];
+        let next = 0;
+
+        for (let y = firstRow; y < lastRow; y++) {
+            const sampleY = y + 0.5;
+
+            // Activate edges starting at or above the sample line, retire finished ones
+            while (next < edges.length && edges[next].top <= sampleY) {
+                active.push(edges[next++]);
+            }
+            for (let i = active.length - 1; i >= 0; i--) {
+                if (active[i].bottom <= sampleY) {
+                    active.splice(i, 1);
+                }
+            }
+
+            crossings.length = 0;
+            for (const edge of active) {
+                // Multiply before dividing so exactly representable crossings stay exact
+                const x = edge.x0 + (sampleY - edge.top) * edge.dx / edge.dy;
+                crossings.push({ x, winding: edge.winding });
+            }
+            if (crossings.length < 2) {
+                continue;
+            }
+            crossings.sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].winding;
+                const inside = evenOdd ? (winding & 1) !== 0 : winding !== 0;
+                if (!inside) {
+                    continue;
+                }
+
+                // Pixel x is inside when crossing[i] <= x + 0.5 < crossing[i + 1]
+                const x0 = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+                const x1 = Math.min(this.width, Math.ceil(crossings[i + 1].x - 0.5));
+                if (x0 < x1) {
+                    callback(y, x0, x1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Rasterize a path into a new ClipMask (visible inside the path)
+     * @param {Object[][]} subpaths - Arrays of user-space points {x, y}
+     * @param {Transform2D} transform - User-to-device transform
+     * @param {string} fillRule - 'nonzero' (default) or 'evenodd'
+     * @returns {ClipMask} Mask of the path region
+     */
+    rasterize(subpaths, transform = new Transform2D(), fillRule = 'nonzero') {
+        const mask = new ClipMask(this.width, this.height);
+        mask.clipAll();
+        this.forEachSpan(subpaths, transform, fillRule, (y, x0, x1) => mask.setSpan(y, x0, x1, true));
+        return mask;
+    }
+
+    /**
+     * Intersect a ClipMask with a path region (canvas clip(fillRule) semantics)
+     * @param {ClipMask} mask - Current clip, modified in place
+     * @param {Object[][]} subpaths - Arrays of user-space points {x, y}
+     * @param {Transform2D} transform - User-to-device transform
+     * @param {string} fillRule - 'nonzero' (default) or 'evenodd'
+     */
+    clip(mask, subpaths, transform = new Transform2D(), fillRule = 'nonzero') {
+        if (!(mask instanceof ClipMask)) {
+            throw new Error('Mask must be a ClipMask instance');
+        }
+
+        if (mask.width !== this.width || mask.height !== this.height) {
+            throw new Error('ClipMask dimensions must match the rasterizer');
+        }
+
+        mask.intersectWith(this.rasterize(subpaths, transform, fillRule));
+    }
+
+    /**
+     * Transform subpaths to device space and collect non-horizontal edges
+     * @returns {Object[]} Edges sorted by top Y
+     * @private
+     */
+    _buildEdges(subpaths, transform) {
+        if (!Array.isArray(subpaths)) {
+            throw new Error('Subpaths must be an array of point arrays');
+        }
+
+        if (!(transform instanceof Transform2D)) {
+            throw new Error('Transform must be a Transform2D instance');
+        }
+
+        const edges = [];
+
+        for (const subpath of subpaths) {
+            if (!Array.isArray(subpath)) {
+                throw new Error('Each subpath must be an array of points');
+            }
+
+            const points = subpath.map(point => {
+                const p = transform.transformPoint(point);
+                if (!isFinite(p.x) || !isFinite(p.y)) {
+                    throw new Error('Path points must be finite');
+                }
+                return p;
+            });
+
+            // Fewer than three points enclose no area
+            if (points.length < 3) {
+                continue;
+            }
+
+            for (let i = 0; i < points.length; i++) {
+                const from = points[i];
+                const to = points[(i + 1) % points.length]; // Implicit close
+                if (from.y === to.y) {
+                    continue; // Horizontal edges never cross a sample line
+                }
+
+                const downward = from.y < to.y;
+                const top = downward ? from : to;
+                const bottom = downward ? to : from;
+                edges.push({
+                    top: top.y,
+                    bottom: bottom.y,
+                    x0: top.x,
+                    dx: bottom.x - top.x,
+                    dy: bottom.y - top.y,
+                    winding: downward ? 1 : -1
+                });
+            }
+        }
+
+        return edges.sort((a, b) => a.top - b.top);
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} PathRasterizer description
+     */
+    toString() {
+        return `PathRasterizer(${this.width}×${this.height})`;
+    }
+}
+
+// Canvas fill rules accepted by forEachSpan, rasterize and clip
+PathRasterizer.FILL_RULES = Object.freeze(['nonzero', 'evenodd']);
\ No newline at end of file
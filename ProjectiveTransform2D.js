@@ -0,0 +1,339 @@
+/**
+ * ProjectiveTransform2D class for SWCanvas
+ *
+ * Represents a full 3x3 planar homography for perspective warps (quad-to-quad
+ * image drawing and texture mapping), which an affine Transform2D cannot
+ * express. Immutable value object, companion to Transform2D.
+ *
+ * ProjectiveTransform2D format (3x3, same letter layout as Transform2D):
+ * | a  c  e |   | x |   | ax + cy + e |        x' = (ax + cy + e) / w
+ * | b  d  f | × | y | = | bx + dy + f |   =>   y' = (bx + dy + f) / w
+ * | g  h  i |   | 1 |   | gx + hy + i | = w
+ *
+ * An affine Transform2D converts losslessly to [a, b, c, d, e, f, 0, 0, 1]
+ * and back. Matrices are never renormalized, so products of affine matrices
+ * keep an exact [0, 0, 1] bottom row and convert back without rounding.
+ */
+class ProjectiveTransform2D {
+    /**
+     * Create a ProjectiveTransform2D matrix
+     * @param {number[]|undefined} init - Optional [a, b, c, d, e, f, g, h, i] array
+     */
+    constructor(init) {
+        if (init && Array.isArray(init) && init.length === 9) {
+            for (let k = 0; k < 9; k++) {
+                if (typeof init[k] !== 'number' || !isFinite(init[k])) {
+                    throw new Error(`ProjectiveTransform2D component ${k} must be a finite number`);
+                }
+            }
+
+            [this.a, this.b, this.c, this.d, this.e, this.f, this.g, this.h, this.i] = init;
+        } else if (init && init.length !== undefined) {
+            throw new Error('ProjectiveTransform2D initialization array must have exactly 9 elements');
+        } else {
+            // Identity transformation
+            this.a = 1; this.b = 0;
+            this.c = 0; this.d = 1;
+            this.e = 0; this.f = 0;
+            this.g = 0; this.h = 0; this.i = 1;
+        }
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Promote an affine transform (lossless)
+     * @param {Transform2D} transform - Affine transform
+     * @returns {ProjectiveTransform2D} Equivalent projective transform
+     */
+    static fromTransform2D(transform) {
+        if (!(transform instanceof Transform2D)) {
+            throw new Error('fromTransform2D requires a Transform2D instance');
+        }
+
+        return new ProjectiveTransform2D([...transform.toArray(), 0, 0, 1]);
+    }
+
+    /**
+     * Create the perspective transform mapping one quadrilateral onto another
+     * Corners correspond in order; the source quad must not have three
+     * collinear corners.
+     * @param {Object[]} from - Four source points {x, y}
+     * @param {Object[]} to - Four destination points {x, y}
+     * @returns {ProjectiveTransform2D} Transform mapping from[k] to to[k]
+     */
+    static fromQuads(from, to) {
+        const source = ProjectiveTransform2D.fromUnitSquare(from);
+        const inverse = source.tryInvert();
+        if (inverse === null) {
+            throw new Error('fromQuads source quad is degenerate');
+        }
+
+        return ProjectiveTransform2D.fromUnitSquare(to).multiply(inverse);
+    }
+
+    /**
+     * Create the transform mapping the unit square onto a quadrilateral
+     * (0,0), (1,0), (1,1), (0,1) map to quad[0], quad[1], quad[2], quad[3].
+     * @param {Object[]} quad - Four destination points {x, y}
+     * @returns {ProjectiveTransform2D} Unit square to quad transform
+     */
+    static fromUnitSquare(quad) {
+        if (!Array.isArray(quad) || quad.length !== 4 ||
+            !quad.every(p => p && typeof p.x === 'number' && typeof p.y === 'number')) {
+            throw new Error('Quad must be an array of four points with numeric x and y');
+        }
+
+        const [p0, p1, p2, p3] = quad;
+        const sx = p0.x - p1.x + p2.x - p3.x;
+        const sy = p0.y - p1.y + p2.y - p3.y;
+
+        if (sx === 0 && sy === 0) {
+            // Parallelogram: the mapping is affine
+            return new ProjectiveTransform2D([
+                p1.x - p0.x, p1.y - p0.y,
+                p3.x - p0.x, p3.y - p0.y,
+                p0.x, p0.y,
+                0, 0, 1
+            ]);
+        }
+
+        // Heckbert's square-to-quad solution
+        const dx1 = p1.x - p2.x;
+        const dy1 = p1.y - p2.y;
+        const dx2 = p3.x - p2.x;
+        const dy2 = p3.y - p2.y;
+        const den = dx1 * dy2 - dx2 * dy1;
+        if (den === 0) {
+            throw new Error('Quad is degenerate');
+        }
+
+        const g = (sx * dy2 - dx2 * sy) / den;
+        const h = (dx1 * sy - sx * dy1) / den;
+
+        return new ProjectiveTransform2D([
+            p1.x - p0.x + g * p1.x, p1.y - p0.y + g * p1.y,
+            p3.x - p0.x + h * p3.x, p3.y - p0.y + h * p3.y,
+            p0.x, p0.y,
+            g, h, 1
+        ]);
+    }
+
+    /**
+     * Multiply this transform with another (immutable)
+     * As with Transform2D, `other` is applied first.
+     * @param {ProjectiveTransform2D|Transform2D} other - Transform to multiply with
+     * @returns {ProjectiveTransform2D} Result of multiplication
+     */
+    multiply(other) {
+        if (other instanceof Transform2D) {
+            other = ProjectiveTransform2D.fromTransform2D(other);
+        } else if (!(other instanceof ProjectiveTransform2D)) {
+            throw new Error('Can only multiply with a ProjectiveTransform2D or Transform2D');
+        }
+
+        const m = this;
+        const n = other;
+        return new ProjectiveTransform2D([
+            m.a * n.a + m.c * n.b + m.e * n.g,
+            m.b * n.a + m.d * n.b + m.f * n.g,
+            m.a * n.c + m.c * n.d + m.e * n.h,
+            m.b * n.c + m.d * n.d + m.f * n.h,
+            m.a * n.e + m.c * n.f + m.e * n.i,
+            m.b * n.e + m.d * n.f + m.f * n.i,
+            m.g * n.a + m.h * n.b + m.i * n.g,
+            m.g * n.c + m.h * n.d + m.i * n.h,
+            m.g * n.e + m.h * n.f + m.i * n.i
+        ]);
+    }
+
+    /**
+     * Calculate inverse transformation (immutable)
+     * @returns {ProjectiveTransform2D} Inverse transformation
+     * @throws {Error} If the matrix is singular (see isInvertible)
+     */
+    invert() {
+        const inverse = this.tryInvert();
+        if (inverse === null) {
+            throw new Error('ProjectiveTransform2D matrix is not invertible (singular or non-finite)');
+        }
+        return inverse;
+    }
+
+    /**
+     * Calculate inverse transformation without throwing
+     * @returns {ProjectiveTransform2D|null} Inverse transformation, or null if singular
+     */
+    tryInvert() {
+        if (!this.isInvertible) {
+            return null;
+        }
+
+        const { a, b, c, d, e, f, g, h, i } = this;
+        const det = this.determinant;
+
+        // Adjugate divided by the determinant
+        const values = [
+            (d * i - f * h) / det,
+            (f * g - b * i) / det,
+            (e * h - c * i) / det,
+            (a * i - e * g) / det,
+            (c * f - d * e) / det,
+            (b * e - a * f) / det,
+            (b * h - d * g) / det,
+            (c * g - a * h) / det,
+            (a * d - b * c) / det
+        ];
+
+        return values.every(isFinite) ? new ProjectiveTransform2D(values) : null;
+    }
+
+    /**
+     * Check if the matrix can be inverted reliably
+     * Scale-relative like Transform2D.isInvertible: |det| is compared with the
+     * product of the column lengths (Hadamard's bound).
+     * @returns {boolean} True if not (near-)singular
+     */
+    get isInvertible() {
+        const { a, b, c, d, e, f, g, h, i } = this;
+        const det = this.determinant;
+        const lengths = Math.hypot(a, b, g) * Math.hypot(c, d, h) * Math.hypot(e, f, i);
+        return det !== 0 && Math.abs(det) > Transform2D.SINGULARITY_EPSILON * lengths;
+    }
+
+    /**
+     * Get transformation determinant
+     * @returns {number} ProjectiveTransform2D determinant
+     */
+    get determinant() {
+        const { a, b, c, d, e, f, g, h, i } = this;
+        return a * (d * i - f * h) - c * (b * i - f * g) + e * (b * h - d * g);
+    }
+
+    /**
+     * Check if this matrix is affine (no perspective component)
+     * @returns {boolean} True if toTransform2D() is exact
+     */
+    get isAffine() {
+        return this.g === 0 && this.h === 0 && this.i !== 0;
+    }
+
+    /**
+     * Check if this is the identity transform
+     * @returns {boolean} True if identity matrix
+     */
+    get isIdentity() {
+        return this.a === 1 && this.b === 0 && this.c === 0 &&
+               this.d === 1 && this.e === 0 && this.f === 0 &&
+               this.g === 0 && this.h === 0 && this.i === 1;
+    }
+
+    /**
+     * Convert to an affine Transform2D
+     * @returns {Transform2D} Equivalent affine transform
+     * @throws {Error} If the matrix has a perspective component
+     */
+    toTransform2D() {
+        if (!this.isAffine) {
+            throw new Error('ProjectiveTransform2D has perspective and cannot be converted to Transform2D');
+        }
+
+        const values = [this.a, this.b, this.c, this.d, this.e, this.f];
+        return new Transform2D(this.i === 1 ? values : values.map(v => v / this.i));
+    }
+
+    /**
+     * Transform a point with the homogeneous divide
+     * Points on the vanishing line (w = 0) map to NaN coordinates.
+     * @param {Object|Point} point - Point with x,y properties
+     * @returns {Object} Transformed point {x, y}
+     */
+    transformPoint(point) {
+        if (!point || typeof point.x !== 'number' || typeof point.y !== 'number') {
+            throw new Error('Point must have numeric x and y properties');
+        }
+
+        const w = this.g * point.x + this.h * point.y + this.i;
+        if (w === 0) {
+            return { x: NaN, y: NaN };
+        }
+
+        return {
+            x: (this.a * point.x + this.c * point.y + this.e) / w,
+            y: (this.b * point.x + this.d * point.y + this.f) / w
+        };
+    }
+
+    /**
+     * Transform multiple points
+     * @param {Array} points - Array of points to transform
+     * @returns {Array} Array of transformed points
+     */
+    transformPoints(points) {
+        return points.map(point => this.transformPoint(point));
+    }
+
+    /**
+     * Transform packed [x0, y0, x1, y1, ...] coordinates without allocating
+     * @param {Float32Array|Float64Array|number[]} src - Packed source coordinates
+     * @param {Float32Array|Float64Array|number[]} dst - Packed destination, may be src itself (default)
+     * @returns {Float32Array|Float64Array|number[]} The destination array
+     */
+    transformPointsInto(src, dst = src) {
+        if (src.length % 2 !== 0) {
+            throw new Error('Packed coordinates must have an even length');
+        }
+
+        if (dst.length < src.length) {
+            throw new Error('Destination array is too small');
+        }
+
+        const { a, b, c, d, e, f, g, h, i } = this;
+        for (let k = 0; k < src.length; k += 2) {
+            const x = src[k];
+            const y = src[k + 1];
+            const w = g * x + h * y + i;
+            dst[k] = w === 0 ? NaN : (a * x + c * y + e) / w;
+            dst[k + 1] = w === 0 ? NaN : (b * x + d * y + f) / w;
+        }
+        return dst;
+    }
+
+    /**
+     * Get transformation as array
+     * @returns {number[]} [a, b, c, d, e, f, g, h, i] array
+     */
+    toArray() {
+        return [this.a, this.b, this.c, this.d, this.e, this.f, this.g, this.h, this.i];
+    }
+
+    /**
+     * Check equality with another transform
+     * Compares the matrices component-wise; homographies that differ only by
+     * an overall scale factor are not considered equal.
+     * @param {ProjectiveTransform2D|Transform2D} other - Transform to compare
+     * @param {number} tolerance - Floating point tolerance
+     * @returns {boolean} True if transforms are equal within tolerance
+     */
+    equals(other, tolerance = 1e-10) {
+        if (other instanceof Transform2D) {
+            other = ProjectiveTransform2D.fromTransform2D(other);
+        }
+
+        if (!(other instanceof ProjectiveTransform2D)) {
+            return false;
+        }
+
+        const mine = this.toArray();
+        const theirs = other.toArray();
+        return mine.every((v, k) => Math.abs(v - theirs[k]) < tolerance);
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} ProjectiveTransform2D description
+     */
+    toString() {
+        return `ProjectiveTransform2D([${this.toArray().join(', ')}])`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * SourceMask class for SWCanvas
+ *
+ * Records which pixels a draw operation covered, as a 1-bit companion to
+ * ClipMask built on the same BitBuffer (1 = touched by the source, 0 = not).
+ *
+ * Composite operations such as source-in, source-out, destination-in,
+ * destination-atop and copy also modify destination pixels the source did not
+ * touch. After rasterizing a draw into a SourceMask, a compositor processes
+ * the covered pixels as usual and then visits the untouched pixels inside the
+ * clip (forEachUntouchedSpan) to apply the operation with a transparent source.
+ *
+ * A bounding box of touched pixels is tracked so rows and columns outside it
+ * can be handled as whole untouched spans without scanning bits.
+ */
+class SourceMask {
+    /**
+     * Create a SourceMask
+     * @param {number} width - Surface width in pixels
+     * @param {number} height - Surface height in pixels
+     */
+    constructor(width, height) {
+        // BitBuffer validates parameters and handles bit manipulation
+        // Default to 0 (nothing touched yet)
+        this._bitBuffer = new BitBuffer(width, height, 0);
+        this._bounds = null;
+
+        // Make dimensions immutable
+        Object.defineProperty(this, 'width', { value: width, writable: false });
+        Object.defineProperty(this, 'height', { value: height, writable: false });
+    }
+
+    /**
+     * Direct buffer access for hot-loop optimizations (dual-access pattern).
+     * Side effect: pins the mask to dense storage so the array stays live.
+     * Re-read .buffer after every mutating call rather than caching it.
+     * Writes through the buffer are not reflected in getBounds().
+     * Read-only consumers should use peekBuffer() or forEachSpan() instead.
+     * @returns {Uint8Array} The raw bit buffer
+     */
+    get buffer() {
+        return this._bitBuffer._getBuffer();
+    }
+
+    /**
+     * Read-only buffer access without side effects
+     * Valid only until the next mutating call; do not write through it.
+     * @returns {Uint8Array|null} The raw bit buffer, or null while sparse
+     */
+    peekBuffer() {
+        return this._bitBuffer._peekBuffer();
+    }
+
+    /**
+     * Visit the runs of touched pixels in a row without densifying storage
+     * @param {number} y - Row index
+     * @param {Function} callback - Called as callback(x0, x1) with x1 exclusive
+     */
+    forEachSpan(y, callback) {
+        this._bitBuffer.forEachSpan(y, callback);
+    }
+
+    /**
+     * Check whether the source touched a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the pixel was covered
+     */
+    getPixel(x, y) {
+        return this._bitBuffer.getPixel(x, y);
+    }
+
+    /**
+     * Record source coverage for a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} covered - True if the source touched the pixel
+     */
+    setPixel(x, y, covered) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return; // Ignore out of bounds
+        }
+
+        this._bitBuffer.setPixel(x, y, covered);
+        if (covered) {
+            this._extendBounds(x, y, x + 1, y + 1);
+        }
+    }
+
+    /**
+     * Record source coverage for a horizontal run of pixels
+     * The run is clamped to the mask; rows outside it are ignored.
+     * @param {number} y - Row index
+     * @param {number} x0 - First column (inclusive)
+     * @param {number} x1 - Last column (exclusive)
+     */
+    markSpan(y, x0, x1) {
+        if (y < 0 || y >= this.height) {
+            return;
+        }
+
+        x0 = Math.max(0, x0);
+        x1 = Math.min(this.width, x1);
+        if (x0 >= x1) {
+            return;
+        }
+
+        this._bitBuffer._fillBits(y * this.width + x0, x1 - x0, 1);
+        this._extendBounds(x0, y, x1, y + 1);
+    }
+
+    /**
+     * Grow the touched bounding box to include a rectangle
+     * @private
+     */
+    _extendBounds(x0, y0, x1, y1) {
+        const b = this._bounds;
+        if (b === null) {
+            this._bounds = { x0, y0, x1, y1 };
+        } else {
+            b.x0 = Math.min(b.x0, x0);
+            b.y0 = Math.min(b.y0, y0);
+            b.x1 = Math.max(b.x1, x1);
+            b.y1 = Math.max(b.y1, y1);
+        }
+    }
+
+    /**
+     * Create a pixel writer function for path rendering
+     * Any non-zero coverage marks the pixel as touched.
+     * @returns {Function} sourcePixel function for coverage-based rendering
+     */
+    createPixelWriter() {
+        return (x, y, coverage) => {
+            if (coverage > 0) {
+                this.setPixel(x, y, true);
+            }
+        };
+    }
+
+    /**
+     * Get the bounding box of touched pixels
+     * The box only grows until clear(); it may be larger than the touched
+     * pixels if bits were reset individually.
+     * @returns {Object|null} Bounds {x, y, width, height}, or null if nothing was touched
+     */
+    getBounds() {
+        const b = this._bounds;
+        return b === null ? null : { x: b.x0, y: b.y0, width: b.x1 - b.x0, height: b.y1 - b.y0 };
+    }
+
+    /**
+     * Check whether any pixel was touched
+     * @returns {boolean} True if the source covered nothing
+     */
+    isEmpty() {
+        return this._bounds === null || this._bitBuffer.isEmpty();
+    }
+
+    /**
+     * Forget all recorded coverage (reuse between draw calls)
+     */
+    clear() {
+        this._bitBuffer.clear();
+        this._bounds = null;
+    }
+
+    /**
+     * Visit runs of pixels that are inside the clip but were not touched
+     * @param {ClipMask|CoverageClipMask|null} clipMask - Current clip; null for the whole surface
+     * @param {Function} callback - Called as callback(y, x0, x1) with x1 exclusive
+     */
+    forEachUntouchedSpan(clipMask, callback) {
+        if (clipMask && (clipMask.width !== this.width || clipMask.height !== this.height)) {
+            throw new Error('Clip mask dimensions must match the SourceMask');
+        }
+
+        const b = this._bounds;
+        for (let y = 0; y < this.height; y++) {
+            const clipRuns = SourceMask._clipRuns(clipMask, y, this.width);
+
+            // Rows outside the touched bounds are untouched everywhere
+            const runs = b === null || y < b.y0 || y >= b.y1
+                ? clipRuns
+                : BitBuffer._mergeRuns(clipRuns, this._bitBuffer._getRowRuns(y), 'andNot');
+
+            for (let i = 0; i < runs.length; i += 2) {
+                callback(y, runs[i], runs[i + 1]);
+            }
+        }
+    }
+
+    /**
+     * Visit each pixel that is inside the clip but was not touched
+     * @param {ClipMask|CoverageClipMask|null} clipMask - Current clip; null for the whole surface
+     * @param {Function} callback - Called as callback(x, y)
+     */
+    forEachUntouchedPixel(clipMask, callback) {
+        this.forEachUntouchedSpan(clipMask, (y, x0, x1) => {
+            for (let x = x0; x < x1; x++) {
+                callback(x, y);
+            }
+        });
+    }
+
+    /**
+     * Get the visible runs of a clip row as a run list [x0, x1, ...]
+     * Pixels of a CoverageClipMask count as visible when coverage is non-zero.
+     * @private
+     */
+    static _clipRuns(clipMask, y, width) {
+        if (!clipMask) {
+            return [0, width];
+        }
+
+        if (clipMask instanceof ClipMask) {
+            const runs = [];
+            for (const span of clipMask.getRowSpans(y)) {
+                runs.push(span.x0, span.x1);
+            }
+            return runs;
+        }
+
+        if (clipMask instanceof CoverageClipMask) {
+            const coverage = clipMask.buffer;
+            const rowStart = y * width;
+            const runs = [];
+            let x = 0;
+            while (x < width) {
+                while (x < width && coverage[rowStart + x] === 0) x++;
+                const start = x;
+                while (x < width && coverage[rowStart + x] !== 0) x++;
+                if (start < x) {
+                    runs.push(start, x);
+                }
+            }
+            return runs;
+        }
+
+        throw new Error('Clip must be a ClipMask or CoverageClipMask instance');
+    }
+
+    /**
+     * Get memory usage in bytes
+     * @returns {number} Memory usage of the source mask
+     */
+    getMemoryUsage() {
+        return this._bitBuffer.getMemoryUsage();
+    }
+
+    /**
+     * String representation for debugging
+     * @returns {string} SourceMask description
+     */
+    toString() {
+        const memoryKB = (this.getMemoryUsage() / 1024).toFixed(2);
+        const b = this.getBounds();
+        const touched = b === null ? 'untouched' : `touched ${b.width}×${b.height} at (${b.x}, ${b.y})`;
+        return `SourceMask(${this.width}×${this.height}, ${memoryKB}KB, ${touched})`;
+    }
+
+    /**
+     * Check equality with another SourceMask
+     * @param {SourceMask} other - Other SourceMask to compare
+     * @returns {boolean} True if the recorded coverage is identical
+     */
+    equals(other) {
+        if (!(other instanceof SourceMask)) {
+            return false;
+        }
+
+        return this._bitBuffer.equals(other._bitBuffer);
+    }
+}
\ No newline at end of file
@@ -69,18 +69,308 @@ class Transform2D {
      * @returns {Transform2D} Rotation transformation
      */
     static rotation(angleInRadians) {
-        const cos = Math.cos(angleInRadians);
-        const sin = Math.sin(angleInRadians);
+        const { cos, sin } = Transform2D._cosSin(angleInRadians);
         return new Transform2D([cos, sin, -sin, cos, 0, 0]);
     }
 
+    /**
+     * Cosine and sine of an angle, exact (0 or ±1) at multiples of 90°
+     * Math.cos(Math.PI / 2) is about 6e-17, which would make quarter-turn
+     * rotations fail the exact checks of isAxisAligned and friends.
+     * @private
+     */
+    static _cosSin(angleInRadians) {
+        const quarterTurns = angleInRadians / (Math.PI / 2);
+        const nearest = Math.round(quarterTurns);
+        if (Math.abs(quarterTurns - nearest) < 1e-12) {
+            const quadrant = ((nearest % 4) + 4) % 4;
+            return { cos: [1, 0, -1, 0][quadrant], sin: [0, 1, 0, -1][quadrant] };
+        }
+
+        return { cos: Math.cos(angleInRadians), sin: Math.sin(angleInRadians) };
+    }
+
+    /**
+     * Create horizontal skew transform (CSS/SVG skewX)
+     * @param {number} angleInRadians - Skew angle in radians
+     * @returns {Transform2D} Skew transformation
+     */
+    static skewingX(angleInRadians) {
+        return new Transform2D([1, 0, Math.tan(angleInRadians), 1, 0, 0]);
+    }
+
+    /**
+     * Create vertical skew transform (CSS/SVG skewY)
+     * @param {number} angleInRadians - Skew angle in radians
+     * @returns {Transform2D} Skew transformation
+     */
+    static skewingY(angleInRadians) {
+        return new Transform2D([1, Math.tan(angleInRadians), 0, 1, 0, 0]);
+    }
+
+    /**
+     * Create rotation transform about a pivot point
+     * @param {number} angleInRadians - Rotation angle in radians
+     * @param {number} cx - Pivot X
+     * @param {number} cy - Pivot Y
+     * @returns {Transform2D} Rotation transformation
+     */
+    static rotationAround(angleInRadians, cx, cy) {
+        return Transform2D.translation(cx, cy)
+            .rotate(angleInRadians)
+            .translate(-cx, -cy);
+    }
+
+    /**
+     * Create scaling transform about a pivot point
+     * @param {number} sx - X scale factor
+     * @param {number} sy - Y scale factor
+     * @param {number} cx - Pivot X
+     * @param {number} cy - Pivot Y
+     * @returns {Transform2D} Scaling transformation
+     */
+    static scalingAround(sx, sy, cx, cy) {
+        return new Transform2D([sx, 0, 0, sy, cx - sx * cx, cy - sy * cy]);
+    }
+
+    /**
+     * Create reflection across an arbitrary line
+     * @param {number} angleInRadians - Direction of the line, measured from the +X axis
+     * @param {number} x - X of a point on the line (default 0)
+     * @param {number} y - Y of a point on the line (default 0)
+     * @returns {Transform2D} Reflection transformation
+     */
+    static reflection(angleInRadians, x = 0, y = 0) {
+        const { cos: cos2, sin: sin2 } = Transform2D._cosSin(2 * angleInRadians);
+        return Transform2D.translation(x, y)
+            .multiply(new Transform2D([cos2, sin2, sin2, -cos2, 0, 0]))
+            .translate(-x, -y);
+    }
+
+    /**
+     * Create the affine transform mapping three source points onto three destination points
+     * @param {Object[]} from - Three source points with x,y properties
+     * @param {Object[]} to - Three destination points with x,y properties
+     * @returns {Transform2D} Transform with transformPoint(from[i]) = to[i]
+     */
+    static fromTriangles(from, to) {
+        if (!Array.isArray(from) || !Array.isArray(to) || from.length !== 3 || to.length !== 3) {
+            throw new Error('fromTriangles requires two arrays of three points');
+        }
+
+        // Map the unit triangle onto each triangle, then chain source⁻¹ with destination
+        const basis = p => new Transform2D([
+            p[1].x - p[0].x, p[1].y - p[0].y,
+            p[2].x - p[0].x, p[2].y - p[0].y,
+            p[0].x, p[0].y
+        ]);
+
+        const source = basis(from);
+        if (!source.isInvertible) {
+            throw new Error('fromTriangles source points must not be collinear');
+        }
+
+        return basis(to).multiply(source.invert());
+    }
+
+    /**
+     * Create a transform from a DOMMatrix, DOMMatrixReadOnly or DOMMatrix2DInit-like object
+     * Accepts either the a-f or the m11/m12/m21/m22/m41/m42 field names.
+     * @param {Object} matrix - DOMMatrix-compatible object
+     * @returns {Transform2D} Equivalent transformation
+     */
+    static fromDOMMatrix(matrix) {
+        if (!matrix || typeof matrix !== 'object') {
+            throw new Error('fromDOMMatrix requires a DOMMatrix-compatible object');
+        }
+
+        if (matrix.is2D === false) {
+            throw new Error('Cannot convert a 3D DOMMatrix to Transform2D');
+        }
+
+        const pick = (short, long, fallback) => {
+            if (typeof matrix[short] === 'number') return matrix[short];
+            if (typeof matrix[long] === 'number') return matrix[long];
+            return fallback;
+        };
+
+        return new Transform2D([
+            pick('a', 'm11', 1),
+            pick('b', 'm12', 0),
+            pick('c', 'm21', 0),
+            pick('d', 'm22', 1),
+            pick('e', 'm41', 0),
+            pick('f', 'm42', 0)
+        ]);
+    }
+
+    /**
+     * Parse a CSS or SVG transform list, e.g. "translate(10 20) rotate(45 5 5) skewX(10)"
+     *
+     * Supports matrix(), translate(), translateX(), translateY(), scale(),
+     * scaleX(), scaleY(), rotate() (including the SVG pivot form rotate(a cx cy)),
+     * skew(), skewX() and skewY(). Arguments may be separated by commas or
+     * whitespace. Angles accept deg/rad/grad/turn units and default to degrees
+     * (SVG); lengths may carry a px unit. Functions apply left to right, as in CSS.
+     *
+     * @param {string} transformList - Transform attribute or CSS transform value
+     * @returns {Transform2D} Combined transformation ('none' or '' gives identity)
+     */
+    static parse(transformList) {
+        if (typeof transformList !== 'string') {
+            throw new Error('Transform list must be a string');
+        }
+
+        const source = transformList.trim();
+        let result = new Transform2D();
+        if (source === '' || source.toLowerCase() === 'none') {
+            return result;
+        }
+
+        const functionPattern = /\s*([a-zA-Z]+)\s*\(([^)]*)\)\s*,?/y;
+        let match;
+        let position = 0;
+        while (position < source.length) {
+            functionPattern.lastIndex = position;
+            match = functionPattern.exec(source);
+            if (!match) {
+                throw new Error(`Invalid transform list at offset ${position}: "${source.slice(position)}"`);
+            }
+            position = functionPattern.lastIndex;
+
+            const name = match[1];
+            const args = match[2].trim() === '' ? [] : match[2].trim().split(/\s*,\s*|\s+/);
+            result = result.multiply(Transform2D._parseFunction(name, args));
+        }
+
+        return result;
+    }
+
+    /**
+     * Build the transform for one transform function
+     * @private
+     */
+    static _parseFunction(name, args) {
+        const expect = (...counts) => {
+            if (!counts.includes(args.length)) {
+                throw new Error(`${name}() expects ${counts.join(' or ')} arguments, got ${args.length}`);
+            }
+        };
+        const length = token => Transform2D._parseValue(token, Transform2D.LENGTH_UNITS, name);
+        const angle = token => Transform2D._parseValue(token, Transform2D.ANGLE_UNITS, name);
+
+        switch (name) {
+            case 'matrix':
+                expect(6);
+                return new Transform2D(args.map((token, i) => i < 4 ?
+                    Transform2D._parseValue(token, { '': 1 }, name) : length(token)));
+            case 'translate':
+                expect(1, 2);
+                return Transform2D.translation(length(args[0]), args.length === 2 ? length(args[1]) : 0);
+            case 'translateX':
+                expect(1);
+                return Transform2D.translation(length(args[0]), 0);
+            case 'translateY':
+                expect(1);
+                return Transform2D.translation(0, length(args[0]));
+            case 'scale': {
+                expect(1, 2);
+                const sx = Transform2D._parseValue(args[0], { '': 1, '%': 0.01 }, name);
+                const sy = args.length === 2 ? Transform2D._parseValue(args[1], { '': 1, '%': 0.01 }, name) : sx;
+                return Transform2D.scaling(sx, sy);
+            }
+            case 'scaleX':
+                expect(1);
+                return Transform2D.scaling(Transform2D._parseValue(args[0], { '': 1, '%': 0.01 }, name), 1);
+            case 'scaleY':
+                expect(1);
+                return Transform2D.scaling(1, Transform2D._parseValue(args[0], { '': 1, '%': 0.01 }, name));
+            case 'rotate':
+                expect(1, 3);
+                if (args.length === 3) {
+                    return Transform2D.rotationAround(angle(args[0]), length(args[1]), length(args[2]));
+                }
+                return Transform2D.rotation(angle(args[0]));
+            case 'skew':
+                expect(1, 2);
+                return new Transform2D([
+                    1, args.length === 2 ? Math.tan(angle(args[1])) : 0,
+                    Math.tan(angle(args[0])), 1,
+                    0, 0
+                ]);
+            case 'skewX':
+                expect(1);
+                return Transform2D.skewingX(angle(args[0]));
+            case 'skewY':
+                expect(1);
+                return Transform2D.skewingY(angle(args[0]));
+            default:
+                throw new Error(`Unknown transform function: ${name}()`);
+        }
+    }
+
+    /**
+     * Parse a number with an optional unit into base units
+     * @param {string} token - Number text, e.g. "45deg" or "10px"
+     * @param {Object} units - Unit suffix to multiplier map
+     * @param {string} functionName - Function name for error messages
+     * @returns {number} Value in base units (pixels or radians)
+     * @private
+     */
+    static _parseValue(token, units, functionName) {
+        const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)([a-zA-Z%]*)$/);
+        const unit = match ? match[2].toLowerCase() : null;
+        if (!match || !Object.prototype.hasOwnProperty.call(units, unit)) {
+            throw new Error(`Invalid ${functionName}() argument: "${token}"`);
+        }
+        return parseFloat(match[1]) * units[unit];
+    }
+
+    /**
+     * Compose a transform from decomposed parts (inverse of decompose())
+     * Result = translate(translateX, translateY) · rotate(rotation) · skewX(skewX) · scale(scaleX, scaleY)
+     * @param {Object} parts - Decomposed parts; missing entries default to identity
+     * @param {number} parts.translateX - X translation
+     * @param {number} parts.translateY - Y translation
+     * @param {number} parts.rotation - Rotation in radians
+     * @param {number} parts.scaleX - X scale factor (negative for a mirrored X axis)
+     * @param {number} parts.scaleY - Y scale factor (negative for a mirrored Y axis)
+     * @param {number} parts.skewX - Skew angle along X in radians
+     * @returns {Transform2D} Composed transformation
+     */
+    static compose(parts) {
+        const {
+            translateX = 0, translateY = 0, rotation = 0,
+            scaleX = 1, scaleY = 1, skewX = 0
+        } = parts;
+
+        const { cos, sin } = Transform2D._cosSin(rotation);
+        const tan = Math.tan(skewX);
+
+        // R · K · S where K = [1 tan; 0 1] and S = diag(scaleX, scaleY)
+        return new Transform2D([
+            cos * scaleX,
+            sin * scaleX,
+            (cos * tan - sin) * scaleY,
+            (sin * tan + cos) * scaleY,
+            translateX,
+            translateY
+        ]);
+    }
+
     /**
      * Multiply this transform with another (immutable)
-     * @param {Transform2D} other - Transform to multiply with
-     * @returns {Transform2D} Result of multiplication
+     * Affine × affine stays a Transform2D; multiplying with a
+     * ProjectiveTransform2D promotes the result to a ProjectiveTransform2D.
+     * @param {Transform2D|ProjectiveTransform2D} other - Transform to multiply with
+     * @returns {Transform2D|ProjectiveTransform2D} Result of multiplication
      */
     multiply(other) {
         if (!(other instanceof Transform2D)) {
+            // Checked second so affine code does not require ProjectiveTransform2D to be loaded
+            if (typeof ProjectiveTransform2D !== 'undefined' && other instanceof ProjectiveTransform2D) {
+                return ProjectiveTransform2D.fromTransform2D(this).multiply(other);
+            }
             throw new Error('Can only multiply with another Transform2D');
         }
         
@@ -126,25 +416,206 @@ class Transform2D {
         return this.multiply(r);
     }
 
+    /**
+     * Apply horizontal skew to this transform (immutable)
+     * @param {number} angleInRadians - Skew angle in radians
+     * @returns {Transform2D} New transformed matrix
+     */
+    skewX(angleInRadians) {
+        return this.multiply(Transform2D.skewingX(angleInRadians));
+    }
+
+    /**
+     * Apply vertical skew to this transform (immutable)
+     * @param {number} angleInRadians - Skew angle in radians
+     * @returns {Transform2D} New transformed matrix
+     */
+    skewY(angleInRadians) {
+        return this.multiply(Transform2D.skewingY(angleInRadians));
+    }
+
+    /**
+     * Apply rotation about a pivot point to this transform (immutable)
+     * @param {number} angleInRadians - Rotation angle in radians
+     * @param {number} cx - Pivot X
+     * @param {number} cy - Pivot Y
+     * @returns {Transform2D} New transformed matrix
+     */
+    rotateAround(angleInRadians, cx, cy) {
+        return this.multiply(Transform2D.rotationAround(angleInRadians, cx, cy));
+    }
+
+    /**
+     * Apply scaling about a pivot point to this transform (immutable)
+     * @param {number} sx - X scale factor
+     * @param {number} sy - Y scale factor
+     * @param {number} cx - Pivot X
+     * @param {number} cy - Pivot Y
+     * @returns {Transform2D} New transformed matrix
+     */
+    scaleAround(sx, sy, cx, cy) {
+        return this.multiply(Transform2D.scalingAround(sx, sy, cx, cy));
+    }
+
     /**
      * Calculate inverse transformation (immutable)
      * @returns {Transform2D} Inverse transformation
+     * @throws {Error} If the matrix is singular (see isInvertible)
      */
     invert() {
-        const det = this.a * this.d - this.b * this.c;
-        
-        if (Math.abs(det) < 1e-10) {
-            throw new Error('Transform2D matrix is not invertible (determinant ≈ 0)');
+        const inverse = this.tryInvert();
+        if (inverse === null) {
+            throw new Error('Transform2D matrix is not invertible (singular or non-finite)');
         }
-        
-        return new Transform2D([
+        return inverse;
+    }
+
+    /**
+     * Calculate inverse transformation without throwing
+     * @returns {Transform2D|null} Inverse transformation, or null if singular
+     */
+    tryInvert() {
+        if (!this.isInvertible) {
+            return null;
+        }
+
+        const det = this.determinant;
+        const values = [
             this.d / det,
             -this.b / det,
             -this.c / det,
             this.a / det,
             (this.c * this.f - this.d * this.e) / det,
             (this.b * this.e - this.a * this.f) / det
-        ]);
+        ];
+
+        // Extreme scales can still overflow even when well conditioned
+        return values.every(isFinite) ? new Transform2D(values) : null;
+    }
+
+    /**
+     * Check if the matrix can be inverted reliably
+     *
+     * The test is scale-relative: |det| is compared with the product of the
+     * basis vector lengths, i.e. the sine of the angle between the transformed
+     * axes. A uniform scale(1e-6, 1e-6) is therefore invertible, while a
+     * matrix whose axes are (nearly) parallel is not, whatever its magnitude.
+     * @returns {boolean} True if not (near-)singular
+     */
+    get isInvertible() {
+        const { a, b, c, d } = this;
+        const det = a * d - b * c;
+        const lengths = Math.hypot(a, b) * Math.hypot(c, d);
+        return det !== 0 && Math.abs(det) > Transform2D.SINGULARITY_EPSILON * lengths;
+    }
+
+    /**
+     * Decide whether a draw call should proceed under a transform
+     *
+     * Canvas drawing with a non-invertible current transform is a silent
+     * no-op. Renderers call this once per draw and return early on false;
+     * Transform2D.singularPolicy selects what happens for singular matrices:
+     * - 'skip' (default): return false, matching browsers
+     * - 'throw': throw an Error, useful for catching bad transforms in tests
+     * - function(transform): custom hook whose return value is used
+     * @param {Transform2D} transform - Current user-to-device transform
+     * @returns {boolean} True if drawing should proceed
+     */
+    static shouldDraw(transform) {
+        if (transform.isInvertible) {
+            return true;
+        }
+
+        const policy = Transform2D.singularPolicy;
+        if (typeof policy === 'function') {
+            return Boolean(policy(transform));
+        }
+
+        if (policy === 'throw') {
+            throw new Error(`Drawing with a non-invertible transform: ${transform.toString()}`);
+        }
+
+        return false;
+    }
+
+    /**
+     * Decompose into translation, rotation, skew and scale
+     *
+     * Follows the CSS Transforms 2D decomposition: the X basis vector gives the
+     * X scale and the rotation, the remaining shear becomes a skew along X.
+     * When the matrix mirrors (negative determinant), the axis whose unit
+     * vector dot product is smaller is flipped, as CSS does, so that
+     * interpolation between mirrored transforms behaves like browsers.
+     * compose(decompose()) reproduces the matrix for any invertible transform.
+     *
+     * @returns {Object} {translateX, translateY, rotation, scaleX, scaleY, skewX},
+     *                   angles in radians
+     */
+    decompose() {
+        const { a, b, c, d } = this;
+        const det = a * d - b * c;
+
+        let scaleX = Math.sqrt(a * a + b * b);
+        if (det < 0 && a < d) {
+            scaleX = -scaleX;
+        }
+
+        const rotation = scaleX !== 0 ? Math.atan2(b / scaleX, a / scaleX) : 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        // Remove the rotation from the Y basis vector: R(-rotation) · (c, d)
+        const shear = c * cos + d * sin;
+        const scaleY = -c * sin + d * cos;
+        const skewX = scaleY !== 0 ? Math.atan(shear / scaleY) : 0;
+
+        return { translateX: this.e, translateY: this.f, rotation, scaleX, scaleY, skewX };
+    }
+
+    /**
+     * Interpolate towards another transform through decomposed parts (immutable)
+     *
+     * Translation, scale and skew are interpolated linearly and the rotation
+     * takes the shorter way around, avoiding the shearing artifacts of
+     * interpolating the six matrix components directly.
+     *
+     * @param {Transform2D} other - Target transform
+     * @param {number} t - Interpolation amount (0 = this, 1 = other)
+     * @returns {Transform2D} Interpolated transformation
+     */
+    interpolate(other, t) {
+        if (!(other instanceof Transform2D)) {
+            throw new Error('Can only interpolate with another Transform2D');
+        }
+
+        const from = this.decompose();
+        const to = other.decompose();
+
+        // A flip on X in one and on Y in the other is a 180° rotation
+        if ((from.scaleX < 0 && to.scaleY < 0) || (from.scaleY < 0 && to.scaleX < 0)) {
+            from.scaleX = -from.scaleX;
+            from.scaleY = -from.scaleY;
+            from.rotation += from.rotation < 0 ? Math.PI : -Math.PI;
+        }
+
+        // Don't rotate the long way around
+        if (Math.abs(from.rotation - to.rotation) > Math.PI) {
+            if (from.rotation > to.rotation) {
+                from.rotation -= 2 * Math.PI;
+            } else {
+                to.rotation -= 2 * Math.PI;
+            }
+        }
+
+        const lerp = key => from[key] + (to[key] - from[key]) * t;
+        return Transform2D.compose({
+            translateX: lerp('translateX'),
+            translateY: lerp('translateY'),
+            rotation: lerp('rotation'),
+            scaleX: lerp('scaleX'),
+            scaleY: lerp('scaleY'),
+            skewX: lerp('skewX')
+        });
     }
 
     /**
@@ -171,7 +642,83 @@ class Transform2D {
     transformPoints(points) {
         return points.map(point => this.transformPoint(point));
     }
+
+    /**
+     * Transform packed [x0, y0, x1, y1, ...] coordinates without allocating
+     * @param {Float32Array|Float64Array|number[]} src - Packed source coordinates
+     * @param {Float32Array|Float64Array|number[]} dst - Packed destination, may be src itself (default)
+     * @returns {Float32Array|Float64Array|number[]} The destination array
+     */
+    transformPointsInto(src, dst = src) {
+        if (src.length % 2 !== 0) {
+            throw new Error('Packed coordinates must have an even length');
+        }
+
+        if (dst.length < src.length) {
+            throw new Error('Destination array is too small');
+        }
+
+        const { a, b, c, d, e, f } = this;
+        for (let i = 0; i < src.length; i += 2) {
+            const x = src[i];
+            const y = src[i + 1];
+            dst[i] = a * x + c * y + e;
+            dst[i + 1] = b * x + d * y + f;
+        }
+        return dst;
+    }
+
+    /**
+     * Transform a vector (direction/offset) ignoring translation
+     * @param {Object} vector - Vector with x,y properties
+     * @returns {Object} Transformed vector {x, y}
+     */
+    transformVector(vector) {
+        if (!vector || typeof vector.x !== 'number' || typeof vector.y !== 'number') {
+            throw new Error('Vector must have numeric x and y properties');
+        }
+
+        return {
+            x: this.a * vector.x + this.c * vector.y,
+            y: this.b * vector.x + this.d * vector.y
+        };
+    }
+
+    /**
+     * Get the axis-aligned bounding box of a transformed rectangle
+     * @param {number} x - Rectangle X
+     * @param {number} y - Rectangle Y
+     * @param {number} width - Rectangle width (may be negative)
+     * @param {number} height - Rectangle height (may be negative)
+     * @returns {Object} Device-space bounds {x, y, width, height}
+     */
+    transformRect(x, y, width, height) {
+        const { a, b, c, d, e, f } = this;
+
+        // Corner = origin + u·(a, b)·width + v·(c, d)·height for u, v in {0, 1}
+        const ox = a * x + c * y + e;
+        const oy = b * x + d * y + f;
+        const wx = a * width;
+        const wy = b * width;
+        const hx = c * height;
+        const hy = d * height;
+
+        const minX = ox + Math.min(0, wx) + Math.min(0, hx);
+        const maxX = ox + Math.max(0, wx) + Math.max(0, hx);
+        const minY = oy + Math.min(0, wy) + Math.min(0, hy);
+        const maxY = oy + Math.max(0, wy) + Math.max(0, hy);
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
     
+    /**
+     * Convert to a ProjectiveTransform2D (lossless)
+     * @returns {ProjectiveTransform2D} Equivalent 3x3 transform
+     */
+    toProjective() {
+        return ProjectiveTransform2D.fromTransform2D(this);
+    }
+
     /**
      * Get transformation as array
      * @returns {number[]} [a, b, c, d, e, f] array
@@ -180,6 +727,44 @@ class Transform2D {
         return [this.a, this.b, this.c, this.d, this.e, this.f];
     }
     
+    /**
+     * Convert to a DOMMatrix (when available) or a DOMMatrix2DInit-compatible object
+     * The plain object carries both the a-f and m11-m44 names, so it can be
+     * passed to DOMMatrix.fromMatrix(), canvas setTransform() or fromDOMMatrix().
+     * @returns {DOMMatrix|Object} 2D matrix
+     */
+    toDOMMatrix() {
+        const init = {
+            a: this.a, b: this.b, c: this.c, d: this.d, e: this.e, f: this.f,
+            m11: this.a, m12: this.b, m13: 0, m14: 0,
+            m21: this.c, m22: this.d, m23: 0, m24: 0,
+            m31: 0, m32: 0, m33: 1, m34: 0,
+            m41: this.e, m42: this.f, m43: 0, m44: 1,
+            is2D: true
+        };
+
+        if (typeof DOMMatrix !== 'undefined' && typeof DOMMatrix.fromMatrix === 'function') {
+            return DOMMatrix.fromMatrix(init);
+        }
+        return init;
+    }
+
+    /**
+     * Serialize as a CSS transform value
+     * @returns {string} `matrix(a, b, c, d, e, f)`
+     */
+    toCSS() {
+        return `matrix(${this.toArray().join(', ')})`;
+    }
+
+    /**
+     * Serialize as an SVG transform attribute value
+     * @returns {string} `matrix(a b c d e f)`
+     */
+    toSVG() {
+        return `matrix(${this.toArray().join(' ')})`;
+    }
+
     /**
      * Check if this is the identity transformation
      * @returns {boolean} True if identity
@@ -189,6 +774,46 @@ class Transform2D {
                this.d === 1 && this.e === 0 && this.f === 0;
     }
     
+    /**
+     * Check if this transform only translates
+     * @returns {boolean} True if the linear part is the identity
+     */
+    get isTranslationOnly() {
+        return this.a === 1 && this.b === 0 && this.c === 0 && this.d === 1;
+    }
+
+    /**
+     * Check if this transform only translates by whole pixels
+     * Such transforms allow blitting without resampling.
+     * @returns {boolean} True for integer translations
+     */
+    get isIntegerTranslation() {
+        return this.isTranslationOnly && Number.isInteger(this.e) && Number.isInteger(this.f);
+    }
+
+    /**
+     * Check if axis-aligned rectangles stay axis-aligned rectangles
+     * True for scales, mirrors, translations and 90° rotations built with
+     * rotation()/rotate(), whose quarter turns are exact. Compares exactly, so
+     * products that accumulate rounding error are not treated as aligned.
+     * @returns {boolean} True if the transform maps axes onto axes
+     */
+    get isAxisAligned() {
+        return (this.b === 0 && this.c === 0) || (this.a === 0 && this.d === 0);
+    }
+
+    /**
+     * Check if this transform preserves angles (similarity transform)
+     * True for uniform scales, rotations, mirrors and translations.
+     * @returns {boolean} True if circles stay circles
+     */
+    get preservesAngles() {
+        if (this.determinant === 0) {
+            return false;
+        }
+        return (this.a === this.d && this.b === -this.c) || (this.a === -this.d && this.b === this.c);
+    }
+
     /**
      * Get transformation determinant
      * @returns {number} Transform2D determinant
@@ -199,6 +824,8 @@ class Transform2D {
 
     /**
      * Get the rotation angle from the transformation matrix
+     * Only exact for rotation/uniform scale matrices; use decompose() for
+     * skewed or mirrored transforms.
      * @returns {number} Rotation angle in radians
      */
     get rotationAngle() {
@@ -215,6 +842,8 @@ class Transform2D {
 
     /**
      * Get the Y scale factor from the transformation matrix
+     * Unsigned length of the Y basis vector; use decompose() for the signed,
+     * skew-free scale.
      * @returns {number} Scale factor along Y axis
      */
     get scaleY() {
@@ -257,3 +886,20 @@ class Transform2D {
     }
 }
 
+// Length units accepted by Transform2D.parse, as multipliers to pixels
+Transform2D.LENGTH_UNITS = Object.freeze({ '': 1, 'px': 1 });
+
+// Angle units accepted by Transform2D.parse, as multipliers to radians (unitless = degrees, as in SVG)
+Transform2D.ANGLE_UNITS = Object.freeze({
+    '': Math.PI / 180,
+    'deg': Math.PI / 180,
+    'rad': 1,
+    'grad': Math.PI / 200,
+    'turn': 2 * Math.PI
+});
+
+// Relative singularity threshold for isInvertible: |det| vs. |axis X|·|axis Y|
+Transform2D.SINGULARITY_EPSILON = 1e-12;
+
+// What Transform2D.shouldDraw does with singular transforms: 'skip', 'throw' or a function(transform)
+Transform2D.singularPolicy = 'skip';
\ No newline at end of file